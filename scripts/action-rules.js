@@ -0,0 +1,99 @@
+import { loadRuleSetting } from './rule-settings.js';
+
+const MODULE_ID = 'daggerheart-statblock-importer';
+
+/**
+ * Adjustments to the actions generated from a feature, for wordings the generic parsing gets wrong.
+ *
+ * A rule applies when all of the conditions it lists hold: `feature` (part of the feature name),
+ * `featureType` and `description` (a case-insensitive regular expression). It can then:
+ * - `range`: set the action range ("melee", "veryClose", "close", "far", "veryFar" or "self")
+ * - `damage`: replace the parsed damage with "1d6 physical" style strings, or clear it with false
+ * - `actionType`: set the action type ("attack" or "damage")
+ * - `split`: leave the text the description pattern matched out of the feature's own action
+ * - `addActions`: add actions `{name, type, description, damage, range, img}`
+ *
+ * In the strings of `damage` and `addActions`, `$0` is replaced with the text the description
+ * pattern matched and `$1`, `$2`... with its groups. Every matching rule applies, in order.
+ */
+export const DEFAULT_ACTION_RULES = [
+  // Ground or an area left hazardous ("...covers the ground... creatures who move through it take
+  // 1d6 physical damage") gets its own damage action; its damage and range stay out of the feature's
+  {
+    description: '[^.]*\\b(?:ground|area|terrain)\\b[^.]*\\b(?:move|moves|enter|enters|end their turn|ends its turn)\\b[^.]*\\btakes? (\\d*d\\d+(?:\\s*[+-]\\s*\\d+)?) (physical|magical|phy|mag) damage[^.]*\\.',
+    split: true,
+    addActions: [{
+      name: 'Hazardous Ground',
+      type: 'damage',
+      description: '$0',
+      damage: '$1 $2'
+    }]
+  }
+];
+
+/**
+ * The default action rules followed by the GM's actionRules setting
+ */
+export class ActionRules {
+  constructor() {
+    this.debugMode = game?.settings?.get(MODULE_ID, 'debugMode') || false;
+    this.rules = [...DEFAULT_ACTION_RULES, ...loadRuleSetting('actionRules')];
+  }
+  
+  /**
+   * The rules that apply to a feature, with their description match
+   * @param {Object} feature - A parsed feature
+   * @returns {{rule: Object, match: string[]|null}[]} Matching rules, in order
+   */
+  match(feature) {
+    const name = (feature.name || '').toLowerCase();
+    const matches = [];
+    
+    for (const rule of this.rules) {
+      if (rule.feature && !name.includes(String(rule.feature).toLowerCase())) continue;
+      if (rule.featureType && String(rule.featureType).toLowerCase() !== feature.type) continue;
+      
+      let match = null;
+      if (rule.description) {
+        match = this._matchDescription(rule.description, feature.description || '');
+        if (!match) continue;
+      }
+      matches.push({ rule, match });
+    }
+    
+    this._debug('Matched action rules', { feature: feature.name, matches });
+    return matches;
+  }
+  
+  /**
+   * Replace `$0`, `$1`... in a rule string with the description match
+   * @param {string} text - A string from a rule
+   * @param {string[]|null} match - The description match of the rule
+   * @returns {string}
+   */
+  expand(text, match) {
+    if (typeof text !== 'string' || !match) return text;
+    return text.replace(/\$(\d+)/g, (placeholder, index) => match[index] ?? '');
+  }
+  
+  /**
+   * Test a rule's description pattern; an invalid pattern never matches
+   */
+  _matchDescription(pattern, description) {
+    try {
+      return description.match(new RegExp(pattern, 'i'));
+    } catch (error) {
+      console.warn(`Daggerheart Statblock Importer | Invalid action rule pattern ${pattern}`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Debug logging helper
+   */
+  _debug(message, data = null) {
+    if (this.debugMode) {
+      console.log(`ActionRules | ${message}`, data);
+    }
+  }
+}
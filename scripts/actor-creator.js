@@ -1,17 +1,97 @@
+import { DEFAULT_THRESHOLDS_BY_TIER } from './parser.js';
+import { ArtResolver } from './art-resolver.js';
+import { ActionRules } from './action-rules.js';
+
+const MODULE_ID = 'daggerheart-statblock-importer';
+
+// System collections keyed by random IDs, matched on a field so a re-import only reports real changes
+const KEYED_COLLECTIONS = {
+  'system.experiences': 'name',
+  'system.potentialAdversaries': 'label'
+};
+
+// Actor fields a re-import never touches
+const PRESERVED_ACTOR_FIELDS = ['img', 'prototypeToken', 'ownership', 'folder', 'sort', '_stats'];
+
+// Module flags that only exist while the statblock has the feature behind them, such as Minion (X)
+const STATBLOCK_FLAGS = ['minion'];
+
+// "Mark a Stress", "Spend 2 Fear", "mark an Armor Slot": verb, amount and resource of a cost; "Spend Fear" costs one
+const COST_PATTERN = /\b(spend|mark)\s+(?:(a|an|one|two|three|four|five|\d+)\s+)?(fear|stress|hope|hp|hit points?|armor slots?)\b/;
+
+// Cost resources by the words statblocks use for them, and the action names they give
+const COST_KEYS = { fear: 'fear', stress: 'stress', hope: 'hope', hp: 'hitPoints', 'hit point': 'hitPoints', 'armor slot': 'armor' };
+const COST_NAMES = { fear: 'Fear', stress: 'Stress', hope: 'Hope', armor: 'Armor', hitPoints: 'HP' };
+
+// Use limit recovery by the words statblocks use for it; "per rest" recovers on any rest
+const RECOVERY_TYPES = { scene: 'scene', session: 'session', 'short rest': 'shortRest', rest: 'shortRest', 'long rest': 'longRest' };
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, once: 1, twice: 2, thrice: 3 };
+
+// Modifiers of passive features that become Active Effect changes; the first group that matched is the signed amount
+const MODIFIER_RULES = [
+  { label: 'attack', pattern: /([+-]\d+)\s+(?:bonus\s+)?to\s+(?:(?:its|their|all)\s+)?attack rolls?/i, keys: ['system.bonuses.roll.attack.bonus'] },
+  { label: 'reaction', pattern: /([+-]\d+)\s+(?:bonus\s+)?to\s+(?:(?:its|their|all)\s+)?reaction rolls?/i, keys: ['system.bonuses.roll.reaction.bonus'] },
+  {
+    label: 'damage',
+    pattern: /([+-]\d+)\s+(?:bonus\s+)?to\s+(?:(?:its|their|all)\s+)?damage rolls?|deals?\s+\+?(\d+)\s+(?:additional|extra|bonus)\s+damage/i,
+    keys: ['system.bonuses.damage.physical.bonus', 'system.bonuses.damage.magical.bonus']
+  },
+  { label: 'difficulty', pattern: /difficulty\s+(?:increases\s+by\s+(\d+)|([+-]\d+))|([+-]\d+)\s+to\s+(?:(?:its|their)\s+)?difficulty/i, keys: ['system.difficulty'] },
+  { label: 'difficulty', pattern: /difficulty\s+decreases\s+by\s+(\d+)/i, keys: ['system.difficulty'], negate: true },
+  {
+    label: 'thresholds',
+    pattern: /([+-]\d+)\s+to\s+(?:(?:its|their)\s+)?(?:damage\s+)?thresholds/i,
+    keys: ['system.damageThresholds.major', 'system.damageThresholds.severe']
+  },
+  { label: 'advantage', pattern: /\b(?:gains?|has|have|gets?)\s+advantage\b/i, keys: ['system.advantageSources'] }
+];
+
+// Who a feature targets, from the adversary's side: PCs are hostile, other adversaries friendly
+const TARGET_NOUNS = {
+  hostile: 'enem(?:y|ies)|pcs?|foes?|heroes|players?',
+  friendly: 'all(?:y|ies)|(?:other\\s+)?adversar(?:y|ies)',
+  any: 'targets?|creatures?'
+};
+
+// A feature about the adversary itself: "Self-Destruct", "heals itself". "Themselves" usually means its targets
+const SELF_PATTERN = /\b(?:self|itself|yourself)\b/;
+
+// Words that make a modifier situational: "+2 to attack rolls while Hidden"
+const CONDITION_PATTERN = /\b(while|when|whenever|if|against|as long as|until|during)\s+([^,.;]+)/i;
+
+// Conditions a feature can inflict, by status effect ID: "become Restrained", "makes them Vulnerable",
+// "knocked prone". Prone is not a Daggerheart condition and is only used when a module provides the status.
+const STATUS_PATTERNS = {
+  restrained: /\b(?:becomes?|becoming|is|are|be|makes?\s+(?:them|it|the target|that target|all targets)|temporarily)\s+(?:\w+\s+)?restrained\b/i,
+  vulnerable: /\b(?:becomes?|becoming|is|are|be|makes?\s+(?:them|it|the target|that target|all targets)|temporarily)\s+(?:\w+\s+)?vulnerable\b/i,
+  hidden: /\b(?:becomes?|becoming|is|are|be|makes?\s+(?:them|it|the target|that target|all targets)|temporarily)\s+(?:\w+\s+)?hidden\b/i,
+  prone: /\b(?:knocks?|knocked|falls?|fell)\s+(?:\w+\s+)?prone\b/i
+};
+const CORE_STATUSES = ['restrained', 'vulnerable', 'hidden'];
+
 /**
  * Creates Daggerheart actors from parsed statblock data
  */
 export class DaggerheartActorCreator {
   constructor() {
     this.debugMode = game?.settings?.get('daggerheart-statblock-importer', 'debugMode') || false;
+    this.artResolver = new ArtResolver();
+    this.actionRules = new ActionRules();
   }
   
   /**
    * Create a new Daggerheart actor from parsed statblock data
    * @param {Object} parsedData - The parsed statblock data
+   * @param {Object} [options] - Creation options
+   * @param {string|null} [options.folder] - ID of the folder to create the actor in; null for the
+   *   directory root, omitted for the default folder setting
+   * @param {string} [options.pack] - Collection ID of an unlocked Actor compendium to create the actor in
+   * @param {boolean} [options.subfolders] - Sort into Tier/Type sub-folders; defaults to the autoSubfolders setting
+   * @param {boolean} [options.keepUnparsed] - Append the lines the parser did not understand to the notes
    * @returns {Actor} The created actor
    */
-  async createActor(parsedData) {
+  async createActor(parsedData, options = {}) {
     this._debug('Creating actor from parsed data', parsedData);
     
     // Validate system compatibility
@@ -20,10 +100,11 @@ export class DaggerheartActorCreator {
     }
     
     // Prepare actor data
-    const actorData = this._buildActorData(parsedData);
+    const actorData = await this._prepareActorData(parsedData, options);
+    actorData.folder = (await this._resolveFolder(parsedData, options))?.id ?? null;
     
-    // Create the actor
-    const actor = await Actor.create(actorData);
+    // Create the actor, in the world or straight into a compendium
+    const actor = await Actor.create(actorData, this._getCreateContext(options));
     
     // Create items from features and experiences
     const items = await this._createItems(parsedData, actor);
@@ -35,6 +116,370 @@ export class DaggerheartActorCreator {
     return actor;
   }
   
+  /**
+   * Find a previously imported actor for a statblock: first by the statblock name stored
+   * when it was imported (so renamed actors are still found), then by actor name
+   * @param {Object} parsedData - The parsed statblock data
+   * @param {Object} [options] - Creation options; with `pack` set, the compendium is searched instead of the world
+   * @returns {Promise<Actor|null>} The matching actor
+   */
+  async findExistingActor(parsedData, options = {}) {
+    const name = parsedData.name?.trim().toLowerCase();
+    if (!name) return null;
+    
+    const type = parsedData.type === 'environment' ? 'environment' : 'adversary';
+    const sourceName = entry => foundry.utils.getProperty(entry, `flags.${MODULE_ID}.source.name`)?.toLowerCase();
+    
+    if (options.pack) {
+      const pack = this._getPack(options.pack);
+      const index = await pack.getIndex({ fields: ['type', `flags.${MODULE_ID}.source.name`] });
+      const candidates = index.filter(entry => entry.type === type);
+      const entry = candidates.find(candidate => sourceName(candidate) === name)
+        ?? candidates.find(candidate => candidate.name.toLowerCase() === name);
+      return entry ? pack.getDocument(entry._id) : null;
+    }
+    
+    const candidates = game.actors.filter(actor => actor.type === type);
+    return candidates.find(actor => sourceName(actor) === name)
+      ?? candidates.find(actor => actor.name.toLowerCase() === name)
+      ?? null;
+  }
+  
+  /**
+   * Work out what re-importing a statblock into an existing actor would change, without changing it
+   * @param {Actor} actor - The actor to update
+   * @param {Object} parsedData - The parsed statblock data
+   * @param {Object} [options] - Creation options (see createActor)
+   * @returns {{actorData: Object, changes: Object[], items: {create: Object[], update: Object[], delete: Item[]}}}
+   *   The merge plan; each change is `{field, from, to}`
+   */
+  async planMerge(actor, parsedData, options = {}) {
+    const actorData = await this._prepareActorData(parsedData, options);
+    const current = actor.toObject();
+    
+    for (const [path, field] of Object.entries(KEYED_COLLECTIONS)) {
+      this._reuseKeys(foundry.utils.getProperty(current, path), foundry.utils.getProperty(actorData, path), field);
+    }
+    
+    // Marked HP and Stress are play state, not statblock data
+    for (const resource of ['hitPoints', 'stress']) {
+      if (actorData.system.resources?.[resource]) {
+        actorData.system.resources[resource].value = current.system.resources?.[resource]?.value ?? 0;
+      }
+    }
+    
+    const changes = this._diffActorData(current, actorData);
+    const items = this._planItemMerge(actor, await this._createItems(parsedData, actor));
+    
+    this._debug('Planned merge', { actor, changes, items });
+    return { actorData, changes, items };
+  }
+  
+  /**
+   * Apply a merge plan from planMerge. The actor keeps its ID, image, token settings,
+   * ownership and folder, and items that did not come from the statblock are left alone.
+   * @param {Actor} actor - The actor to update
+   * @param {Object} plan - The plan returned by planMerge
+   * @returns {Actor} The updated actor
+   */
+  async mergeActor(actor, plan) {
+    const update = foundry.utils.deepClone(plan.actorData);
+    for (const field of PRESERVED_ACTOR_FIELDS) {
+      delete update[field];
+    }
+    
+    // Entries dropped from the statblock have to be deleted explicitly
+    const current = actor.toObject();
+    for (const path of Object.keys(KEYED_COLLECTIONS)) {
+      const built = foundry.utils.getProperty(update, path) ?? {};
+      for (const id of Object.keys(foundry.utils.getProperty(current, path) ?? {})) {
+        if (!(id in built)) built[`-=${id}`] = null;
+      }
+    }
+    for (const key of STATBLOCK_FLAGS) {
+      const flag = `flags.${MODULE_ID}.${key}`;
+      if (foundry.utils.getProperty(current, flag) !== undefined && foundry.utils.getProperty(update, flag) === undefined) {
+        foundry.utils.setProperty(update, `flags.${MODULE_ID}.-=${key}`, null);
+      }
+    }
+    
+    await actor.update(update);
+    
+    if (plan.items.delete.length > 0) {
+      await actor.deleteEmbeddedDocuments('Item', plan.items.delete.map(item => item.id));
+    }
+    if (plan.items.update.length > 0) {
+      await actor.updateEmbeddedDocuments('Item', plan.items.update);
+    }
+    if (plan.items.create.length > 0) {
+      await actor.createEmbeddedDocuments('Item', plan.items.create);
+    }
+    
+    this._debug('Actor merged successfully', actor);
+    return actor;
+  }
+  
+  /**
+   * Create the actors of a parsed encounter inside an encounter folder and
+   * record its composition on the folder, so the group can be spawned later.
+   *
+   * Each adversary is resolved in this order: an existing world actor with the
+   * same name (moved into the encounter folder unless it belongs to another
+   * encounter), the inline statblock pasted with the encounter, then any Actor
+   * compendium holding an actor with that name.
+   * @param {Object} encounterData - The parsed encounter data
+   * @param {Object} [options] - Creation options for the inline statblocks (see createActor)
+   * @returns {{folder: Folder, composition: Object[], warnings: Object[]}} The encounter folder and its composition
+   */
+  async createEncounter(encounterData, options = {}) {
+    this._debug('Creating encounter from parsed data', encounterData);
+    
+    if (game.system.id !== 'daggerheart') {
+      throw new Error('This module requires the Daggerheart system');
+    }
+    
+    const folder = await this._getEncounterFolder(encounterData.name);
+    const warnings = [...(encounterData.warnings || [])];
+    const composition = [];
+    
+    for (const entry of encounterData.composition) {
+      const actor = await this._resolveEncounterActor(entry.name, encounterData.statblocks || [], folder, options);
+      if (!actor) {
+        warnings.push({
+          line: null,
+          message: game.i18n.format('daggerheart-statblock-importer.warnings.encounterActorMissing', { name: entry.name })
+        });
+        continue;
+      }
+      
+      composition.push({ actorId: actor.id, name: actor.name, count: entry.count });
+    }
+    
+    await folder.setFlag('daggerheart-statblock-importer', 'encounter', {
+      name: encounterData.name,
+      description: encounterData.description || '',
+      composition
+    });
+    
+    this._debug('Encounter created successfully', { folder, composition });
+    return { folder, composition, warnings };
+  }
+  
+  /**
+   * Find the folder of a previously imported encounter, or create a new one
+   */
+  async _getEncounterFolder(name) {
+    const existing = game.folders.find(folder => folder.type === 'Actor' && folder.name === name &&
+      folder.getFlag('daggerheart-statblock-importer', 'encounter'));
+    if (existing) return existing;
+    
+    const parent = await this._getDefaultFolder();
+    return Folder.create({ name, type: 'Actor', folder: parent?.id ?? null });
+  }
+  
+  /**
+   * Find or create the actor for one encounter entry
+   */
+  async _resolveEncounterActor(name, statblocks, folder, options = {}) {
+    const worldActor = this._findWorldAdversary(name);
+    if (worldActor) {
+      // World actors stay in the folder the GM put them in; the composition refers to them by ID
+      this._debug('Reusing world actor for encounter', { name });
+      return worldActor;
+    }
+    
+    const statblock = statblocks.find(data => data.name.toLowerCase() === name.toLowerCase());
+    if (statblock) {
+      this._debug('Creating encounter actor from inline statblock', { name });
+      return this.createActor(statblock, { ...options, folder: folder.id, subfolders: false });
+    }
+    
+    const compendiumEntry = await this._findCompendiumAdversary(name);
+    if (compendiumEntry) {
+      this._debug('Importing encounter actor from compendium', { name, pack: compendiumEntry.pack.collection });
+      return game.actors.importFromCompendium(compendiumEntry.pack, compendiumEntry.entry._id, { folder: folder.id });
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Find a world adversary by name (case-insensitive)
+   */
+  _findWorldAdversary(name) {
+    const lowerName = name.toLowerCase();
+    return game.actors.find(actor => actor.type === 'adversary' && actor.name.toLowerCase() === lowerName) || null;
+  }
+  
+  /**
+   * Find an adversary by name (case-insensitive) in the Actor compendiums
+   * @returns {{pack: CompendiumCollection, entry: Object}|null} The pack and its index entry
+   */
+  async _findCompendiumAdversary(name) {
+    const lowerName = name.toLowerCase();
+    
+    for (const pack of game.packs.filter(pack => pack.documentName === 'Actor')) {
+      const index = await pack.getIndex({ fields: ['type'] });
+      const entry = index.find(entry => entry.name.toLowerCase() === lowerName && (!entry.type || entry.type === 'adversary'));
+      if (entry) return { pack, entry };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Resolve an environment's potential adversaries to world or compendium actors.
+   * Names that cannot be resolved are listed in the notes and reported as warnings.
+   */
+  async _resolvePotentialAdversaries(parsedData, actorData) {
+    const potentialAdversaries = {};
+    const unresolved = [];
+    
+    for (const group of parsedData.potentialAdversaries || []) {
+      const adversaries = [];
+      
+      for (const name of group.names) {
+        const worldActor = this._findWorldAdversary(name);
+        const compendiumEntry = worldActor ? null : await this._findCompendiumAdversary(name);
+        const uuid = worldActor?.uuid ?? compendiumEntry?.entry.uuid;
+        
+        if (uuid) {
+          adversaries.push(uuid);
+        } else {
+          unresolved.push(name);
+        }
+      }
+      
+      potentialAdversaries[foundry.utils.randomID()] = {
+        label: group.label || game.i18n.localize('daggerheart-statblock-importer.environment.adversaries'),
+        adversaries
+      };
+    }
+    
+    actorData.system.potentialAdversaries = potentialAdversaries;
+    
+    if (unresolved.length > 0) {
+      actorData.system.notes += `<p>${game.i18n.format('daggerheart-statblock-importer.environment.unresolved', {
+        names: unresolved.join(', ')
+      })}</p>`;
+      
+      // Planning a merge resolves the same statblock again before it is imported
+      const message = game.i18n.format('daggerheart-statblock-importer.warnings.unresolvedAdversaries', {
+        names: unresolved.join(', ')
+      });
+      if (!parsedData.warnings?.some(warning => warning.message === message)) {
+        parsedData.warnings?.push({ line: null, message });
+      }
+    }
+    
+    this._debug('Resolved potential adversaries', { potentialAdversaries, unresolved });
+  }
+  
+  /**
+   * The unlocked Actor compendium a statblock is imported into
+   */
+  _getPack(collection) {
+    const pack = game.packs.get(collection);
+    if (!pack || pack.documentName !== 'Actor') {
+      throw new Error(game.i18n.format('daggerheart-statblock-importer.errors.packNotFound', { pack: collection }));
+    }
+    if (pack.locked) {
+      throw new Error(game.i18n.format('daggerheart-statblock-importer.errors.packLocked', { pack: pack.title }));
+    }
+    return pack;
+  }
+  
+  /**
+   * The folder a new actor goes into: the chosen folder (or the default folder setting), then
+   * the Tier and Type sub-folders when they are enabled, e.g. "Statblocks/Tier 2/Bruiser"
+   * @returns {Promise<Folder|null>} null for the directory root
+   */
+  async _resolveFolder(parsedData, options = {}) {
+    const pack = options.pack ? this._getPack(options.pack) : null;
+    
+    // World folders do not apply inside a compendium
+    let folder = null;
+    if (!pack) {
+      folder = options.folder === undefined
+        ? await this._getDefaultFolder()
+        : game.folders.get(options.folder) ?? null;
+    }
+    
+    const subfolders = options.subfolders ?? game.settings.get(MODULE_ID, 'autoSubfolders');
+    if (!subfolders) return folder;
+    
+    for (const name of this._getSubfolderNames(parsedData)) {
+      folder = await this._findOrCreateFolder(name, folder, pack);
+    }
+    return folder;
+  }
+  
+  /**
+   * The folder named by the default folder setting ("Statblocks" or "Campaign/Adversaries"), created when missing
+   */
+  async _getDefaultFolder() {
+    const path = (game.settings.get(MODULE_ID, 'defaultFolder') || '').split('/')
+      .map(name => name.trim())
+      .filter(name => name);
+    
+    let folder = null;
+    for (const name of path) {
+      folder = await this._findOrCreateFolder(name, folder, null);
+    }
+    return folder;
+  }
+  
+  /**
+   * Sub-folder names for a statblock: its tier, then its adversary or environment type
+   */
+  _getSubfolderNames(parsedData) {
+    const type = parsedData.subtype || parsedData.type || 'adversary';
+    return [
+      game.i18n.format('daggerheart-statblock-importer.folders.tier', { tier: parsedData.tier || 1 }),
+      type.charAt(0).toUpperCase() + type.slice(1)
+    ];
+  }
+  
+  /**
+   * Find an Actor folder by name below a parent folder, or create it
+   */
+  async _findOrCreateFolder(name, parent, pack) {
+    const folders = pack ? pack.folders : game.folders;
+    const existing = folders.find(folder => folder.type === 'Actor' && folder.name === name &&
+      (folder.folder?.id ?? null) === (parent?.id ?? null));
+    if (existing) return existing;
+    
+    return Folder.create({ name, type: 'Actor', folder: parent?.id ?? null }, pack ? { pack: pack.collection } : {});
+  }
+  
+  /**
+   * Document creation context for the import target
+   */
+  _getCreateContext(options) {
+    return options.pack ? { pack: this._getPack(options.pack).collection } : {};
+  }
+  
+  /**
+   * Actor data for a statblock with the creation options applied
+   */
+  async _prepareActorData(parsedData, options = {}) {
+    const actorData = this._buildActorData(parsedData);
+    
+    if (actorData.type === 'environment') {
+      await this._resolvePotentialAdversaries(parsedData, actorData);
+    }
+    
+    if (options.keepUnparsed && parsedData.unparsed?.length) {
+      actorData.system.notes += this._buildUnparsedNotes(parsedData.unparsed);
+    }
+    
+    const art = await this.artResolver.resolveActorArt(parsedData);
+    actorData.img = art.portrait;
+    foundry.utils.setProperty(actorData, 'prototypeToken.texture.src', art.token);
+    
+    return actorData;
+  }
+  
   /**
    * Build the core actor data structure
    */
@@ -42,10 +487,145 @@ export class DaggerheartActorCreator {
     // Determine actor type
     const actorType = parsedData.type === 'environment' ? 'environment' : 'adversary';
     
-    if (actorType === 'environment') {
-      return this._buildEnvironmentData(parsedData);
-    } else {
-      return this._buildAdversaryData(parsedData);
+    const actorData = actorType === 'environment'
+      ? this._buildEnvironmentData(parsedData)
+      : this._buildAdversaryData(parsedData);
+    
+    // Remember which statblock the actor came from, so it can be found and re-imported later
+    foundry.utils.setProperty(actorData, `flags.${MODULE_ID}.source`, {
+      name: parsedData.name,
+      text: parsedData.sourceText || '',
+      format: parsedData.format || null,
+      version: game.modules.get(MODULE_ID)?.version ?? null
+    });
+    return actorData;
+  }
+  
+  /**
+   * Give built keyed-collection entries the IDs of the current entries they match
+   */
+  _reuseKeys(current, built, field) {
+    if (!current || !built) return;
+    
+    const unmatched = Object.entries(current);
+    for (const [id, entry] of Object.entries(built)) {
+      const index = unmatched.findIndex(([, value]) => value[field] === entry[field]);
+      if (index === -1) continue;
+      
+      const [currentId] = unmatched.splice(index, 1)[0];
+      delete built[id];
+      built[currentId] = entry;
+    }
+  }
+  
+  /**
+   * Field-by-field differences between an actor and freshly built actor data
+   */
+  _diffActorData(current, actorData) {
+    const before = foundry.utils.flattenObject({ name: current.name, system: current.system });
+    const after = foundry.utils.flattenObject({ name: actorData.name, system: actorData.system });
+    const changes = [];
+    
+    for (const [field, to] of Object.entries(after)) {
+      if (JSON.stringify(before[field]) !== JSON.stringify(to)) {
+        changes.push({ field, from: before[field], to });
+      }
+    }
+    
+    // Keyed entries that are no longer in the statblock
+    for (const [field, from] of Object.entries(before)) {
+      const removed = Object.keys(KEYED_COLLECTIONS).some(path => field.startsWith(`${path}.`)) && !(field in after);
+      if (removed) {
+        changes.push({ field, from, to: undefined });
+      }
+    }
+    
+    return changes;
+  }
+  
+  /**
+   * Split the built feature items into items to create, update or delete on an existing actor.
+   * Items without the imported flag are only matched by name (actors imported before the flag
+   * existed); unmatched ones were added by the GM and are kept.
+   */
+  _planItemMerge(actor, builtItems) {
+    const plan = { create: [], update: [], delete: [] };
+    const isImported = item => !!item.getFlag(MODULE_ID, 'imported');
+    const isImportedEffect = effect => !!effect.flags?.[MODULE_ID]?.imported;
+    const comparableActions = actions => JSON.stringify(Object.values(actions ?? {}).map(({ _id, ...action }) => action));
+    const comparableEffects = effects => JSON.stringify((effects ?? []).filter(isImportedEffect)
+      .map(({ _id, name, changes, disabled, description, statuses }) => ({ _id, name, changes, disabled, description, statuses: statuses ?? [] }))
+      .sort((a, b) => a.name.localeCompare(b.name)));
+    
+    for (const itemData of builtItems) {
+      const existing = actor.items.find(item => item.name === itemData.name && item.type === itemData.type);
+      if (!existing) {
+        plan.create.push(itemData);
+        continue;
+      }
+      
+      const current = existing.toObject();
+      this._reuseImportedEffects(current, itemData);
+      const descriptionChanged = current.system.description !== itemData.system.description;
+      const actionsChanged = comparableActions(current.system.actions) !== comparableActions(itemData.system.actions);
+      const effectsChanged = comparableEffects(current.effects) !== comparableEffects(itemData.effects);
+      if (!descriptionChanged && !actionsChanged && !effectsChanged && isImported(existing)) continue;
+      
+      // Actions are keyed by random IDs, so the old ones are replaced rather than merged
+      const actions = { ...itemData.system.actions };
+      for (const id of Object.keys(current.system.actions ?? {})) {
+        actions[`-=${id}`] = null;
+      }
+      
+      const update = {
+        _id: existing.id,
+        name: existing.name,
+        'system.description': itemData.system.description,
+        'system.actions': actions,
+        [`flags.${MODULE_ID}.imported`]: true
+      };
+      
+      // Condition and modifier effects follow the statblock; other effects, such as the GM's, stay as they are
+      if (effectsChanged) {
+        update.effects = [
+          ...current.effects.filter(effect => !isImportedEffect(effect)),
+          ...itemData.effects
+        ];
+      }
+      plan.update.push(update);
+    }
+    
+    plan.delete = actor.items.filter(item => isImported(item) &&
+      !builtItems.some(itemData => itemData.name === item.name && itemData.type === item.type));
+    
+    return plan;
+  }
+  
+  /**
+   * Give the effects of a built item the IDs of the same imported effects on the existing item, so an
+   * unchanged feature compares equal. Conditions are matched by status and the built actions are pointed
+   * at them; modifier effects are matched by name and keep whether the GM enabled them.
+   */
+  _reuseImportedEffects(current, itemData) {
+    const conditionOf = effect => effect.flags?.[MODULE_ID]?.condition;
+    const imported = (current.effects ?? []).filter(effect => effect.flags?.[MODULE_ID]?.imported);
+    
+    for (const effect of itemData.effects ?? []) {
+      const existing = conditionOf(effect)
+        ? imported.find(other => conditionOf(other) === conditionOf(effect))
+        : imported.find(other => !conditionOf(other) && other.name === effect.name);
+      if (!existing) continue;
+      
+      if (conditionOf(effect)) {
+        for (const action of Object.values(itemData.system.actions ?? {})) {
+          for (const reference of action.effects ?? []) {
+            if (reference._id === effect._id) reference._id = existing._id;
+          }
+        }
+      } else {
+        effect.disabled = existing.disabled;
+      }
+      effect._id = existing._id;
     }
   }
   
@@ -56,7 +636,7 @@ export class DaggerheartActorCreator {
     return {
       name: parsedData.name || 'Unknown Environment',
       type: 'environment',
-      img: 'icons/svg/mystery-man.svg',
+      img: this._getDefaultImage(parsedData),
       system: {
         difficulty: parsedData.difficulty || 10,
         tier: parsedData.tier || 1,
@@ -64,7 +644,7 @@ export class DaggerheartActorCreator {
         type: parsedData.subtype || 'traversal',
         notes: '',
         potentialAdversaries: {},
-        impulses: ''
+        impulses: parsedData.impulses || ''
       }
     };
   }
@@ -87,6 +667,11 @@ export class DaggerheartActorCreator {
       }
     }
     
+    const defaultThresholds = DEFAULT_THRESHOLDS_BY_TIER[parsedData.tier] || DEFAULT_THRESHOLDS_BY_TIER[1];
+    
+    // Minions are defeated by any damage: no thresholds and a single HP unless the statblock says otherwise
+    const isMinion = !!parsedData.minion || parsedData.subtype === 'minion';
+    
     const actorData = {
       name: parsedData.name,
       type: 'adversary',
@@ -94,13 +679,13 @@ export class DaggerheartActorCreator {
       system: {
         difficulty: parsedData.difficulty || 10,
         damageThresholds: {
-          major: Math.max(8, Math.floor(parsedData.difficulty * 0.6)),
-          severe: Math.max(15, Math.floor(parsedData.difficulty * 1.1))
+          major: parsedData.thresholds?.major ?? defaultThresholds.major,
+          severe: parsedData.thresholds?.severe ?? defaultThresholds.severe
         },
         resources: {
           hitPoints: {
             value: 0,
-            max: this._calculateTotalHP(parsedData.hitPoints),
+            max: parsedData.hitPoints || (isMinion ? 1 : 0),
             isReversed: true
           },
           stress: {
@@ -111,18 +696,12 @@ export class DaggerheartActorCreator {
         },
         motivesAndTactics: parsedData.motivesAndTactics || '',
         resistance: {
-          physical: false,
-          immunity: false,
-          reduction: 0
-        },
-        magical: {
-          resistance: false,
-          immunity: false,
-          reduction: 0
+          physical: this._buildResistance(parsedData, 'physical'),
+          magical: this._buildResistance(parsedData, 'magical')
         },
         type: parsedData.subtype || 'solo',
-        notes: '',
-        hordeHp: 1,
+        notes: this._buildVulnerabilityNotes(parsedData),
+        hordeHp: parsedData.horde?.hpPerMember || 1,
         experiences: this._parseExperiencesForSystemData(parsedData.experiences || []),
         bonuses: {
           roll: {
@@ -169,17 +748,18 @@ export class DaggerheartActorCreator {
               value: {
                 custom: {
                   enabled: true,
-                  formula: `${parsedData.attackInfo.dice}+${parsedData.attackInfo.bonus}`
+                  formula: `${parsedData.attackInfo.dice}${parsedData.attackInfo.bonus < 0 ? '' : '+'}${parsedData.attackInfo.bonus}`
                 },
                 multiplier: "flat",
-                flatMultiplier: 1,
+                flatMultiplier: parseInt(parsedData.attackInfo.dice) || 1,
                 dice: parsedData.attackInfo.dice.replace(/\d+/, ''),
                 bonus: parsedData.attackInfo.bonus
               },
               applyTo: "hitPoints",
               type: [parsedData.attackInfo.damageType === 'phy' ? 'physical' : parsedData.attackInfo.damageType === 'mag' ? 'magical' : parsedData.attackInfo.damageType],
               base: false,
-              resultBased: false
+              resultBased: false,
+              ...(parsedData.horde?.damage ? { valueAlt: this._buildHordeDamage(parsedData.horde.damage) } : {})
             }] : [],
             includeBase: false
           }
@@ -190,7 +770,11 @@ export class DaggerheartActorCreator {
       ownership: {
         default: 0
       },
-      flags: {},
+      flags: parsedData.minion ? {
+        'daggerheart-statblock-importer': {
+          minion: { threshold: parsedData.minion.threshold }
+        }
+      } : {},
       _stats: {
         systemId: 'daggerheart',
         systemVersion: game.system.version || '1.0.0'
@@ -201,6 +785,56 @@ export class DaggerheartActorCreator {
     return actorData;
   }
   
+  /**
+   * Notes section holding the statblock lines the parser did not understand
+   */
+  _buildUnparsedNotes(unparsed) {
+    const lines = unparsed.map(entry => `<p>${Handlebars.escapeExpression(entry.text)}</p>`).join('');
+    return `<h3>${game.i18n.localize('daggerheart-statblock-importer.notes.unparsed')}</h3>${lines}`;
+  }
+  
+  /**
+   * Resistance, immunity and reduction of one damage type
+   * @param {Object} parsedData - The parsed statblock data
+   * @param {string} damageType - "physical" or "magical"
+   */
+  _buildResistance(parsedData, damageType) {
+    return {
+      resistance: (parsedData.resistances || []).includes(damageType),
+      immunity: (parsedData.immunities || []).includes(damageType),
+      reduction: parsedData.damageReduction?.[damageType] || 0
+    };
+  }
+  
+  /**
+   * The system has no vulnerability field, so vulnerabilities are kept in the notes
+   */
+  _buildVulnerabilityNotes(parsedData) {
+    if (!parsedData.vulnerabilities?.length) return '';
+    
+    const types = parsedData.vulnerabilities
+      .map(type => game.i18n.localize(`daggerheart-statblock-importer.damageTypes.${type}`))
+      .join(', ');
+    return `<p>${game.i18n.format('daggerheart-statblock-importer.notes.vulnerabilities', { types })}</p>`;
+  }
+  
+  /**
+   * Alternative attack damage a Horde deals once it has marked half or more of its HP
+   * @param {Object} damage - The parsed Horde feature damage ({ dice, bonus, formula })
+   */
+  _buildHordeDamage(damage) {
+    return {
+      multiplier: "flat",
+      flatMultiplier: parseInt(damage.dice) || 1,
+      dice: damage.dice.replace(/^\d+/, ''),
+      bonus: damage.bonus || null,
+      custom: {
+        enabled: true,
+        formula: damage.formula
+      }
+    };
+  }
+  
   /**
    * Parse experiences for system data format (embedded in actor data)
    */
@@ -218,14 +852,6 @@ export class DaggerheartActorCreator {
     return systemExperiences;
   }
 
-  /**
-   * Calculate total HP from the HP breakdown
-   */
-  _calculateTotalHP(hitPoints) {
-    if (!hitPoints) return 0;
-    return (hitPoints.minor || 0) + (hitPoints.major || 0) + (hitPoints.severe || 0);
-  }
-  
   /**
    * Map range text to Daggerheart system values
    */
@@ -233,17 +859,16 @@ export class DaggerheartActorCreator {
     const range = rangeText.toLowerCase().trim();
     if (range.includes('very close')) return 'veryClose';
     if (range.includes('close')) return 'close';
-    if (range.includes('far')) return 'far';
     if (range.includes('very far')) return 'veryFar';
+    if (range.includes('far')) return 'far';
     return 'melee'; // default
   }
 
   /**
-   * Get default image based on creature type
+   * Portrait picked by the art rules; art directory files are applied later in _prepareActorData
    */
   _getDefaultImage(parsedData) {
-    // Use the same default as the Daggerheart system
-    return 'systems/daggerheart/assets/icons/documents/actors/dragon-head.svg';
+    return this.artResolver.resolveRuleArt(parsedData).portrait;
   }
   
   /**
@@ -254,7 +879,7 @@ export class DaggerheartActorCreator {
     
     // Create feature items (experiences are handled in system data, not as separate items)
     for (const feature of parsedData.features || []) {
-      const itemData = this._buildFeatureItem(feature);
+      const itemData = this._buildFeatureItem(await this._rollCountdownStart(feature, actor));
       if (itemData) {
         items.push(itemData);
       }
@@ -264,6 +889,26 @@ export class DaggerheartActorCreator {
     return items;
   }
   
+  /**
+   * The feature with the start value of its countdown rolled, when that is a roll such as "1d4+1".
+   * A re-import keeps the value rolled before as long as the formula is unchanged.
+   * @param {Object} feature - A parsed feature
+   * @param {Actor} [actor] - The actor the items are for
+   * @returns {Promise<Object>} The feature, or a copy with `countdown.max` set
+   */
+  async _rollCountdownStart(feature, actor) {
+    const start = feature.countdown?.start;
+    if (!start || /^\d+$/.test(start)) return feature;
+    
+    const previous = actor?.items?.find(item => item.name === feature.name)?.getFlag(MODULE_ID, 'countdown');
+    const max = previous?.start === start && previous.max
+      ? previous.max
+      : (await new Roll(start).evaluate()).total;
+    
+    this._debug('Rolled countdown start', { feature: feature.name, start, max });
+    return { ...feature, countdown: { ...feature.countdown, max } };
+  }
+  
   /**
    * Build a feature item
    */
@@ -273,25 +918,34 @@ export class DaggerheartActorCreator {
     // Parse advanced action details from description
     const actionDetails = this._parseActionDetails(feature);
     
+    // Conditions are item effects the feature's actions apply to their targets
+    const conditionEffects = feature.type === 'passive' ? [] : actionDetails.conditions.map(condition => this._buildConditionEffect(condition, feature));
+    actionDetails.effects = conditionEffects.map(effect => ({ _id: effect._id, onSave: false }));
+    const actions = this._createFeatureActions(feature, actionDetails);
+    const appliedIds = new Set(Object.values(actions).flatMap(action => action.effects.map(effect => effect._id)));
+    
     // Use 'feature' as the item type - this is the correct type for Daggerheart system
     const itemData = {
       name: feature.name,
       type: 'feature',
-      img: 'icons/creatures/abilities/mouth-teeth-rows-red.webp',
+      img: this.artResolver.resolveFeatureIcon(feature),
       system: {
-        description: feature.description || '',
+        description: this._formatFeatureDescription(feature),
         resource: null,
-        actions: this._createFeatureActions(feature, actionDetails),
+        actions: actions,
         originItemType: null,
         originId: null,
         identifier: undefined
       },
+      effects: [...this._buildFeatureEffects(feature), ...conditionEffects.filter(effect => appliedIds.has(effect._id))],
       folder: null,
       sort: 0,
       ownership: {
         default: 0
       },
-      flags: {},
+      flags: {
+        [MODULE_ID]: { imported: true, featureType: feature.type, ...(feature.countdown && { countdown: feature.countdown }) }
+      },
       _stats: {
         systemId: 'daggerheart',
         systemVersion: game.system.version || '1.0.0'
@@ -302,12 +956,178 @@ export class DaggerheartActorCreator {
     return itemData;
   }
   
+  /**
+   * Active Effects for the modifiers of a passive feature ("+2 to attack rolls", "Difficulty +2").
+   * Unconditional modifiers share one enabled effect; each conditional one ("while Hidden",
+   * "against Vulnerable targets") gets its own effect, disabled and named after its condition
+   * so the GM can toggle it.
+   */
+  _buildFeatureEffects(feature) {
+    if (feature.type !== 'passive') return [];
+    
+    const baseName = feature.name.replace(/\s*\(.*\)$/, '');
+    const img = this.artResolver.resolveFeatureIcon(feature);
+    const always = [];
+    const effects = [];
+    
+    for (const sentence of (feature.description || '').split(/(?<=[.!?])\s+/)) {
+      const changes = this._parseModifierChanges(sentence, baseName);
+      if (changes.length === 0) continue;
+      
+      const condition = sentence.match(CONDITION_PATTERN);
+      if (!condition) {
+        always.push(...changes);
+        continue;
+      }
+      effects.push(this._buildEffect(`${baseName} (${condition[1]} ${condition[2].trim()})`, img, changes, sentence, true));
+    }
+    
+    if (always.length > 0) {
+      effects.unshift(this._buildEffect(baseName, img, always, feature.description, false));
+    }
+    return effects;
+  }
+  
+  /**
+   * Active Effect changes for the modifiers in one sentence
+   */
+  _parseModifierChanges(sentence, source) {
+    const changes = [];
+    for (const rule of MODIFIER_RULES) {
+      const match = sentence.match(rule.pattern);
+      if (!match) continue;
+      
+      // Advantage lists its sources rather than adding an amount
+      let value = source;
+      if (rule.label !== 'advantage') {
+        const amount = parseInt(match.slice(1).find(group => group !== undefined));
+        value = String(rule.negate ? -amount : amount);
+      }
+      for (const key of rule.keys) {
+        changes.push({ key, mode: CONST.ACTIVE_EFFECT_MODES.ADD, value, priority: null });
+      }
+    }
+    return changes;
+  }
+  
+  /**
+   * Status effect for a condition the feature's actions inflict. How the condition ends
+   * ("until they break free with a Strength Roll") goes into its description.
+   */
+  _buildConditionEffect(condition, feature) {
+    const status = globalThis.CONFIG?.statusEffects?.find(effect => effect.id === condition.status);
+    const name = status?.name ? game.i18n.localize(status.name) : condition.status.charAt(0).toUpperCase() + condition.status.slice(1);
+    
+    return {
+      _id: foundry.utils.randomID(),
+      name,
+      img: status?.img ?? this.artResolver.resolveFeatureIcon(feature),
+      statuses: [condition.status],
+      changes: [],
+      disabled: false,
+      transfer: false,
+      description: condition.ending ? `<p>${name} ${condition.ending}</p>` : '',
+      flags: {
+        [MODULE_ID]: { imported: true, condition: condition.status }
+      }
+    };
+  }
+  
+  /**
+   * Active Effect data carried by a feature item and applied to the actor
+   */
+  _buildEffect(name, img, changes, description, conditional) {
+    return {
+      name,
+      img,
+      changes,
+      disabled: conditional,
+      transfer: true,
+      description: description || '',
+      flags: {
+        [MODULE_ID]: { imported: true, conditional }
+      }
+    };
+  }
+  
+  /**
+   * Summarize what the importer reads from a feature, for the import preview
+   * @param {Object} feature - A parsed feature
+   * @returns {{countdown: string, effects: string[], conditions: string[], cost: string[], uses: string, damage: string[],
+   *   range: string, target: string}}
+   *   Empty when the feature gets no action, countdown or effect; each cost entry is one alternative
+   */
+  summarizeFeature(feature) {
+    const countdown = feature.countdown
+      ? [feature.countdown.loop && 'loop', feature.countdown.dynamic && 'dynamic', feature.countdown.start].filter(part => part).join(' ')
+      : '';
+    const effects = this._buildFeatureEffects(feature).map(effect => effect.disabled
+      ? game.i18n.format('daggerheart-statblock-importer.preview.effectDisabled', { name: effect.name })
+      : effect.name);
+    if (!this._needsAction(feature)) {
+      return { cost: [], uses: '', damage: [], range: '', target: '', conditions: [], countdown, effects };
+    }
+    
+    const details = this._parseActionDetails(feature);
+    return {
+      countdown,
+      effects,
+      conditions: details.conditions.map(condition => condition.status),
+      cost: [details.cost, ...details.alternativeCosts]
+        .filter(group => group.length > 0)
+        .map(group => group.map(cost => `${cost.value} ${cost.key}`).join(' + ')),
+      uses: details.uses ? `${details.uses}/${details.recovery}` : '',
+      damage: [
+        ...details.damageParts.map(part => part.applyTo === 'hitPoints'
+          ? `${part.formula} ${details.directDamage ? 'direct ' : ''}${part.type.join('/')}`
+          : `${part.formula} ${part.applyTo}`),
+        ...(details.saveDamageMod === 'half' ? [game.i18n.localize('daggerheart-statblock-importer.preview.halfOnSuccess')] : [])
+      ],
+      range: details.range || '',
+      target: this._formatTargetSummary(details)
+    };
+  }
+  
+  /**
+   * Target of an action for the import preview: "3 hostile", "all friendly"; empty when it names none
+   */
+  _formatTargetSummary(details) {
+    if (details.targetType === 'any' && details.targetAmount === null) return '';
+    const amount = details.targetAmount ?? game.i18n.localize('daggerheart-statblock-importer.preview.allTargets');
+    return `${amount} ${details.targetType}`;
+  }
+  
+  /**
+   * Feature description, followed by the GM prompt questions of environment features
+   */
+  _formatFeatureDescription(feature) {
+    if (!feature.questions?.length) {
+      return feature.description || '';
+    }
+    return `<p>${feature.description || ''}</p><p><em>${feature.questions.join(' ')}</em></p>`;
+  }
+  
   /**
    * Create actions for features based on their type and description
    */
   _createFeatureActions(feature, actionDetails) {
     const actions = {};
     
+    // Countdowns get a countdown action the GM can start and tick down during play
+    if (feature.countdown) {
+      const countdownId = foundry.utils.randomID();
+      actions[countdownId] = this._buildCountdownAction(countdownId, feature, actionDetails);
+      
+      // Damage dealt when the countdown triggers keeps a damage action of its own; the cost is paid
+      // when the countdown starts
+      if (actionDetails.damageParts.length === 0) {
+        return actions;
+      }
+      actionDetails.actionType ??= 'damage';
+      actionDetails.cost = [];
+      actionDetails.alternativeCosts = [];
+    }
+    
     // For passive features, no actions needed
     if (feature.type === 'passive') {
       return actions;
@@ -320,8 +1140,8 @@ export class DaggerheartActorCreator {
       const actionId = foundry.utils.randomID();
       
       // Determine action type based on feature analysis
-      let actionType = 'attack';
-      if (feature.type === 'reaction' && actionDetails.damageParts.length > 0) {
+      let actionType = actionDetails.actionType || 'attack';
+      if (!actionDetails.actionType && feature.type === 'reaction' && actionDetails.damageParts.length > 0) {
         actionType = 'damage';
       }
       
@@ -333,39 +1153,47 @@ export class DaggerheartActorCreator {
         chatDisplay: true,
         actionType: feature.type || 'action',
         cost: this._formatCost(actionDetails.cost),
-        uses: {
-          value: null,
-          max: "",
-          recovery: null
-        },
+        uses: this._formatUses(actionDetails),
         damage: {
           parts: this._formatDamageParts(actionDetails.damageParts),
-          includeBase: false
+          includeBase: false,
+          direct: actionDetails.directDamage
         },
         target: {
-          type: "any",
-          amount: null
+          type: actionDetails.targetType,
+          amount: actionDetails.targetAmount
         },
-        effects: [],
+        effects: actionDetails.effects ?? [],
         roll: this._formatRoll(actionType, actionDetails),
         save: {
           trait: actionDetails.saveTrait || null,
           difficulty: null,
-          damageMod: "none"
+          damageMod: actionDetails.saveDamageMod
         },
-        name: this._getActionName(feature, actionType),
-        img: 'icons/creatures/abilities/mouth-teeth-rows-red.webp',
+        name: this._getActionName(feature, actionDetails.cost),
+        img: this.artResolver.resolveFeatureIcon(feature),
         range: actionDetails.range || ""
       };
       
-      // Add second action for Acid Bath (ground effect)
-      if (feature.name.toLowerCase().includes('acid bath')) {
-        const secondActionId = foundry.utils.randomID();
-        actions[secondActionId] = {
-          type: 'damage',
-          _id: secondActionId,
+      // Each alternative cost ("spend a Fear or mark a Stress") gets a copy of the action
+      for (const cost of actionDetails.alternativeCosts) {
+        const alternativeId = foundry.utils.randomID();
+        actions[alternativeId] = {
+          ...foundry.utils.deepClone(actions[actionId]),
+          _id: alternativeId,
+          cost: this._formatCost(cost),
+          name: this._getActionName(feature, cost)
+        };
+      }
+      
+      // Further actions added by the action rules, such as the hazardous ground Acid Bath leaves
+      for (const extraAction of actionDetails.extraActions) {
+        const extraActionId = foundry.utils.randomID();
+        actions[extraActionId] = {
+          type: extraAction.type,
+          _id: extraActionId,
           systemPath: "actions",
-          description: "This splash covers the ground within Very Close range with blood, and all creatures other than the Burrower who move through it take 1d6 physical damage.",
+          description: extraAction.description,
           chatDisplay: true,
           actionType: 'action',
           cost: [],
@@ -375,31 +1203,7 @@ export class DaggerheartActorCreator {
             recovery: null
           },
           damage: {
-            parts: [{
-              value: {
-                custom: {
-                  enabled: true,
-                  formula: "1d6"
-                },
-                multiplier: "flat",
-                flatMultiplier: 1,
-                dice: "d6",
-                bonus: null
-              },
-              applyTo: "hitPoints",
-              type: ["physical"],
-              base: false,
-              resultBased: false,
-              valueAlt: {
-                multiplier: "prof",
-                flatMultiplier: 1,
-                dice: "d6",
-                bonus: null,
-                custom: {
-                  enabled: false
-                }
-              }
-            }],
+            parts: this._formatDamageParts(extraAction.damageParts),
             includeBase: false
           },
           target: {
@@ -407,9 +1211,9 @@ export class DaggerheartActorCreator {
             amount: null
           },
           effects: [],
-          name: "Acid Ground",
-          img: 'icons/magic/acid/dissolve-pool-bubbles.webp',
-          range: ""
+          name: extraAction.name,
+          img: extraAction.img || this.artResolver.resolveFeatureIcon(feature),
+          range: extraAction.range
         };
       }
     }
@@ -417,82 +1221,101 @@ export class DaggerheartActorCreator {
     return actions;
   }
   
+  /**
+   * Build the countdown action of a "Countdown (6)", "Countdown (Loop 6)" or "Countdown (Dynamic 1d6)" feature.
+   * Looping countdowns restart when they trigger; the system has no dynamic countdowns, so those are
+   * only marked in the item flags and ticked by hand.
+   */
+  _buildCountdownAction(actionId, feature, actionDetails) {
+    const img = this.artResolver.resolveFeatureIcon(feature);
+    
+    return {
+      type: 'countdown',
+      _id: actionId,
+      systemPath: "actions",
+      description: feature.description || '',
+      chatDisplay: true,
+      actionType: feature.type || 'action',
+      cost: this._formatCost(actionDetails.cost),
+      uses: this._formatUses(actionDetails),
+      countdown: [{
+        name: feature.name.replace(/\s*\(.*\)$/, ''),
+        img: img,
+        type: 'encounter',
+        progress: {
+          max: this._getCountdownMax(feature.countdown),
+          looping: feature.countdown.loop ? 'looping' : 'noLooping'
+        }
+      }],
+      effects: [],
+      name: "Countdown",
+      img: img,
+      range: ""
+    };
+  }
+  
+  /**
+   * The countdown's starting value as a number: a fixed start, or the value rolled for a roll
+   * formula (kept with the formula in the item flags); null while a formula is not rolled yet
+   */
+  _getCountdownMax(countdown) {
+    if (/^\d+$/.test(countdown.start)) return parseInt(countdown.start);
+    return Number.isFinite(countdown.max) ? countdown.max : null;
+  }
+  
   /**
    * Format cost array for Daggerheart system
    */
   _formatCost(costArray) {
     return costArray.map(cost => ({
       scalable: false,
-      key: cost.type,
-      value: cost.amount,
+      key: cost.key,
+      value: cost.value,
       keyIsID: false,
       step: null
     }));
   }
   
+  /**
+   * Format the use limit ("twice per scene") for Daggerheart system
+   */
+  _formatUses(actionDetails) {
+    return {
+      value: null,
+      max: actionDetails.uses ? String(actionDetails.uses) : "",
+      recovery: actionDetails.recovery
+    };
+  }
+  
   /**
    * Format damage parts for Daggerheart system
    */
   _formatDamageParts(damageParts) {
-    return damageParts.map(part => {
-      if (part.applyTo === 'armor') {
-        // Special formatting for armor damage
-        return {
-          value: {
-            custom: {
-              enabled: true,
-              formula: "1"
-            },
-            multiplier: "flat",
-            flatMultiplier: 1,
-            dice: "d6",
-            bonus: null
-          },
-          applyTo: "armor",
-          base: false,
-          resultBased: false,
-          valueAlt: {
-            multiplier: "prof",
-            flatMultiplier: 1,
-            dice: "d6",
-            bonus: null,
-            custom: {
-              enabled: false
-            }
-          },
-          type: []
-        };
-      } else {
-        // Regular damage formatting
-        const formula = `${part.value.diceCount}d${part.value.diceSize}`;
-        
-        return {
-          value: {
-            custom: {
-              enabled: true,
-              formula: formula
-            },
-            multiplier: "flat",
-            flatMultiplier: 1,
-            dice: "d6",
-            bonus: null
-          },
-          applyTo: part.applyTo || "hitPoints",
-          type: part.type,
-          base: false,
-          resultBased: false,
-          valueAlt: {
-            multiplier: "prof",
-            flatMultiplier: 1,
-            dice: "d6",
-            bonus: null,
-            custom: {
-              enabled: false
-            }
-          }
-        };
+    return damageParts.map(part => ({
+      value: {
+        custom: {
+          enabled: true,
+          formula: part.formula
+        },
+        multiplier: "flat",
+        flatMultiplier: 1,
+        dice: "d6",
+        bonus: null
+      },
+      applyTo: part.applyTo,
+      type: part.type,
+      base: false,
+      resultBased: false,
+      valueAlt: {
+        multiplier: "prof",
+        flatMultiplier: 1,
+        dice: "d6",
+        bonus: null,
+        custom: {
+          enabled: false
+        }
       }
-    });
+    }));
   }
   
   /**
@@ -535,22 +1358,11 @@ export class DaggerheartActorCreator {
   }
   
   /**
-   * Get appropriate action name based on cost or action type
+   * Name an action after the resources it costs, or after the feature type when it costs nothing
    */
-  _getActionName(feature, actionType) {
-    const description = (feature.description || '').toLowerCase();
-    
-    // Name based on cost first
-    if (description.includes('mark a stress') || description.includes('mark stress')) {
-      return "Stress";
-    } else if (description.includes('spend fear') || description.includes('mark fear')) {
-      return "Fear";
-    } else if (description.includes('spend hope') || description.includes('mark hope')) {
-      return "Hope";
-    } else if (description.includes('mark armor') || description.includes('armor slot')) {
-      return "Armor";
-    } else if (description.includes('mark hp') || description.includes('mark a hp')) {
-      return "HP";
+  _getActionName(feature, cost) {
+    if (cost.length > 0) {
+      return cost.map(entry => COST_NAMES[entry.key]).join(' & ');
     }
     
     // Name based on action type if no cost
@@ -558,11 +1370,7 @@ export class DaggerheartActorCreator {
       return "Reaction";
     } else if (feature.type === 'passive') {
       return "Passive";
-    } else if (feature.type === 'action') {
-      return "Action";
     }
-    
-    // Default fallback
     return "Action";
   }
   
@@ -571,7 +1379,6 @@ export class DaggerheartActorCreator {
    */
   _needsAction(feature) {
     const description = (feature.description || '').toLowerCase();
-    const name = (feature.name || '').toLowerCase();
     
     // Passive features don't need actions
     if (feature.type === 'passive') {
@@ -587,10 +1394,6 @@ export class DaggerheartActorCreator {
            description.includes('spend') ||
            description.includes('mark') ||
            description.includes('reaction roll') ||
-           name.includes('eruption') ||
-           name.includes('spit') ||
-           name.includes('bath') ||
-           name.includes('blast') ||
            feature.type === 'action' ||
            feature.type === 'reaction';
   }
@@ -599,78 +1402,36 @@ export class DaggerheartActorCreator {
    * Parse action details from feature description
    */
   _parseActionDetails(feature) {
-    const description = (feature.description || '').toLowerCase();
+    // Text the action rules split off into actions of their own is not read for the feature's action
+    const ruleMatches = this.actionRules.match(feature);
+    const ownText = this._removeSplitText(feature.description || '', ruleMatches);
+    const description = ownText.toLowerCase();
     const name = (feature.name || '').toLowerCase();
     const details = {
       cost: [],
+      alternativeCosts: [],
       targetType: 'any',
-      targetAmount: 1,
+      targetAmount: null,
       saveTrait: null,
       saveDifficulty: null,
+      saveDamageMod: 'none',
+      directDamage: false,
       range: 'melee',
       attackType: 'attack',
+      actionType: null,
       damageParts: [],
+      extraActions: [],
+      conditions: this._parseConditions(ownText),
       uses: null,
       recovery: null
     };
     
-    // Parse all cost types using the correct 'key' structure - ORDER MATTERS!
-    if (description.includes('spend a fear') || description.includes('spend fear')) {
-      details.cost.push({ 
-        key: 'fear', 
-        value: 1, 
-        keyIsID: false, 
-        step: null, 
-        scalable: false 
-      });
-    } else if (description.includes('mark a stress') || description.includes('mark stress')) {
-      details.cost.push({ 
-        key: 'stress', 
-        value: 1, 
-        keyIsID: false, 
-        step: null, 
-        scalable: false 
-      });
-    }
-    
-    if (description.includes('mark hope') || description.includes('spend hope')) {
-      details.cost.push({ 
-        key: 'hope', 
-        value: 1, 
-        keyIsID: false, 
-        step: null, 
-        scalable: false 
-      });
-    }
-    if (description.includes('mark an armor slot') || description.includes('mark armor')) {
-      details.cost.push({ 
-        key: 'armor', 
-        value: 1, 
-        keyIsID: false, 
-        step: null, 
-        scalable: false 
-      });
-    }
-    if (description.includes('mark a hp') || description.includes('mark hp')) {
-      details.cost.push({ 
-        key: 'hitPoints', 
-        value: 1, 
-        keyIsID: false, 
-        step: null, 
-        scalable: false 
-      });
-    }
+    // The first alternative cost is the action's own; the others get copies of the action
+    const costs = this._parseCosts(description);
+    details.cost = costs[0] ?? [];
+    details.alternativeCosts = costs.slice(1);
     
-    // Parse uses and recovery
-    const usesMatch = description.match(/(\d+)\s*(?:time|use)s?\s*per\s*(scene|session|short\s*rest|long\s*rest)/i);
-    if (usesMatch) {
-      details.uses = parseInt(usesMatch[1]);
-      const recoveryText = usesMatch[2].toLowerCase().replace(/\s+/g, '');
-      if (recoveryText.includes('scene')) details.recovery = 'scene';
-      else if (recoveryText.includes('session')) details.recovery = 'session';
-      else if (recoveryText.includes('shortrest')) details.recovery = 'shortrest';
-      else if (recoveryText.includes('longrest')) details.recovery = 'longrest';
-    }
+    Object.assign(details, this._parseUses(description));
     
     // Parse all reaction roll types (save requirements)
     if (description.includes('agility reaction roll') || description.includes('agility save')) {
@@ -687,73 +1448,32 @@ export class DaggerheartActorCreator {
       details.saveTrait = 'knowledge';
     }
     
-    // Parse all range types - prioritize specific mentions
-    if (description.includes('self') || name.includes('self')) {
-      details.range = 'self';
-    } else if (description.includes('melee') || name.includes('melee')) {
+    // Parse all range types - prioritize specific mentions; a feature mentioning itself is only
+    // self-ranged when it names no range or area
+    if (description.includes('melee') || name.includes('melee')) {
       details.range = 'melee';
-    } else if (name.includes('bath')) {
-      details.range = 'close'; // Acid Bath uses close range
     } else if (description.includes('within very close range')) {
       details.range = 'veryClose';
-    } else if (description.includes('within close range') || name.includes('spit')) {
+    } else if (description.includes('within close range')) {
       details.range = 'close';
     } else if (description.includes('within far range')) {
       details.range = 'far';
     } else if (description.includes('within very far range')) {
       details.range = 'veryFar';
+    } else if ((SELF_PATTERN.test(description) && !description.includes('in front of')) || SELF_PATTERN.test(name)) {
+      details.range = 'self';
     }
     
     // Parse target information
-    if (description.includes('all creatures') || description.includes('all targets')) {
-      details.targetType = 'any';
-      details.targetAmount = null;
-    }
+    Object.assign(details, this._parseTarget(description, details.range));
     
     // Parse damage information with enhanced patterns
-    const damagePattern = /(\d+)d(\d+)(?:\s*[+-]\s*(\d+))?\s+(physical|magical|phy|mag)/gi;
-    let match;
-    while ((match = damagePattern.exec(description)) !== null) {
-      const diceCount = parseInt(match[1]);
-      const diceSize = parseInt(match[2]);
-      const bonus = match[3] ? parseInt(match[3]) : 0;
-      const damageType = match[4].toLowerCase();
-      
-      details.damageParts.push({
-        applyTo: 'hitPoints',
-        resultBased: false,
-        value: {
-          diceCount: diceCount,
-          diceSize: diceSize,
-          bonus: bonus
-        },
-        type: [damageType.startsWith('phy') ? 'physical' : 'magical']
-      });
-    }
+    details.damageParts = this._parseDamageParts(description);
     
-    // Special handling for armor slot targeting (Spit Acid)
-    if (description.includes('armor slot')) {
-      // For Spit Acid, both damage parts should target armor
-      // The system will automatically handle the "if no armor, hit HP" logic
-      details.damageParts.forEach(part => {
-        if (part.applyTo === 'hitPoints') {
-          part.applyTo = 'armor';
-        }
-      });
-      
-      // If no damage parts were found, add a default armor damage
-      if (details.damageParts.length === 0) {
-        details.damageParts.push({
-          applyTo: 'armor',
-          resultBased: false,
-          value: {
-            diceCount: 0,
-            diceSize: 6,
-            bonus: 1
-          },
-          type: []
-        });
-      }
+    // Direct damage ignores armor; "half damage on a success" halves it for targets who succeed
+    details.directDamage = /\bdirect\s+(?:(?:physical|magical|phy|mag)\s+)?damage\b/.test(description);
+    if (/\bhalf\s+(?:the\s+)?damage\b/.test(description)) {
+      details.saveDamageMod = 'half';
     }
     
     // Determine attack type based on feature type and description
@@ -764,24 +1484,221 @@ export class DaggerheartActorCreator {
     } else if (feature.type === 'reaction' && description.includes('damage')) {
       details.attackType = 'damage'; // Reactions that deal damage
     } else if (description.includes('make an attack') || description.includes('attack against') || 
-               description.includes('damage') || name.includes('eruption') || 
-               name.includes('spit') || name.includes('bath') || name.includes('blast')) {
+               description.includes('damage')) {
       details.attackType = 'attack'; // Most common case
     } else {
       details.attackType = ''; // Leave blank if no clear indicators
     }
     
-    // Special case for Earth Eruption - it's an attack but with special mechanics
-    if (name.includes('eruption')) {
-      details.attackType = 'attack';
-      // Earth Eruption doesn't deal direct damage, it knocks prone
-      details.damageParts = []; // Clear any parsed damage
-    }
+    this._applyActionRules(feature, details, ruleMatches);
     
     this._debug('Parsed action details', details);
     return details;
   }
   
+  /**
+   * Costs the adversary pays to use a feature: "Mark a Stress", "Spend 2 Fear", "Spend Fear", "spend a Fear or mark
+   * a Stress". Only a cost that starts a sentence or clause or follows "can" or "may" ("you can", "the
+   * Ogre can") counts, so "targets must mark an Armor Slot" is not taken for one.
+   * @returns {Object[][]} Alternative costs; the costs in one alternative ("mark a Stress and spend a Fear") are paid together
+   */
+  _parseCosts(description) {
+    const cost = COST_PATTERN.source;
+    const chainPattern = new RegExp(`(?:^|[.!:,]\\s+|\\b(?:can|may)\\s+)(${cost}(?:,?\\s+(?:or|and)\\s+${cost})*)`);
+    const chain = description.match(chainPattern);
+    if (!chain) return [];
+    
+    return chain[1].split(/,?\s+or\s+/).map(alternative => {
+      const costs = [];
+      for (const [, , amount, resource] of alternative.matchAll(new RegExp(cost, 'g'))) {
+        const key = COST_KEYS[resource.replace(/(point|slot)s$/, '$1')];
+        const value = amount ? NUMBER_WORDS[amount] ?? parseInt(amount) : 1;
+        const existing = costs.find(entry => entry.key === key);
+        if (existing) {
+          existing.value += value;
+        } else {
+          costs.push({ key, value, keyIsID: false, step: null, scalable: false });
+        }
+      }
+      return costs;
+    });
+  }
+  
+  /**
+   * Conditions a feature inflicts and how each ends: "must succeed on an Agility Reaction Roll or become
+   * Restrained until they break free with a Strength Roll". Hidden, Restrained and Vulnerable are the
+   * Daggerheart conditions; other statuses are used only when they exist.
+   * @returns {{status: string, ending: string}[]}
+   */
+  _parseConditions(description) {
+    const sentences = description.split(/(?<=[.!?])\s+/);
+    const available = globalThis.CONFIG?.statusEffects?.map(effect => effect.id);
+    const conditions = [];
+    
+    for (const [status, pattern] of Object.entries(STATUS_PATTERNS)) {
+      if (!CORE_STATUSES.includes(status) && !available?.includes(status)) continue;
+      
+      const index = sentences.findIndex(sentence => pattern.test(sentence));
+      if (index === -1) continue;
+      
+      // The ending is an "until..." clause, or a following sentence on breaking free or clearing it
+      const sentence = sentences[index];
+      const following = sentences[index + 1] || '';
+      const until = sentence.slice(sentence.search(pattern)).match(/\buntil\b[^.!?]*/i);
+      const ending = until?.[0] ?? (/\b(break free|clear|escape|ends?)\b/i.test(following) ? following : '');
+      conditions.push({ status, ending: ending.trim() });
+    }
+    return conditions;
+  }
+  
+  /**
+   * Target type and amount of a feature's action: "up to three targets" (3 of any), "all enemies within
+   * Close range" (every hostile), "an ally within Far range" (1 friendly), "each target in front of the
+   * Burrower" (every target). An attack's target is read from its "attack against" clause before anyone
+   * else the feature mentions, so "an ally" clearing Stress on a hit does not make the attack friendly.
+   * Features with a self range, about the adversary itself, target self.
+   * @returns {{targetType: string, targetAmount: number|null}} The amount is null for every target in the area,
+   *   or when the feature names no target
+   */
+  _parseTarget(description, range) {
+    const attackClause = description.match(/\battack\s+against\s+([^.;]+)/)?.[1];
+    const target = (attackClause && this._matchTarget(attackClause)) || this._matchTarget(description);
+    if (target) return target;
+    
+    if (range === 'self') {
+      return { targetType: 'self', targetAmount: null };
+    }
+    return { targetType: 'any', targetAmount: null };
+  }
+  
+  /**
+   * The first target a text names, trying hostile, friendly and then any target nouns
+   * @returns {{targetType: string, targetAmount: number|null}|null}
+   */
+  _matchTarget(text) {
+    const amountWords = 'a|an|one|two|three|four|five|another|a single|\\d+';
+    
+    for (const [targetType, nouns] of Object.entries(TARGET_NOUNS)) {
+      const all = text.match(new RegExp(`\\b(?:all|each|every)\\s+(?:\\w+\\s+)?(?:${nouns})\\b`));
+      if (all) {
+        return { targetType, targetAmount: null };
+      }
+      
+      const counted = text.match(new RegExp(`\\b(?:up to\\s+)?(${amountWords})\\s+(?:other\\s+|nearby\\s+|random\\s+)?(?:${nouns})\\b`));
+      if (counted) {
+        const amount = counted[1].replace(/^(another|a single)$/, 'one');
+        return { targetType, targetAmount: NUMBER_WORDS[amount] ?? parseInt(amount) };
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Use limit of a feature: "once per scene", "twice per session", "3 times per long rest", "2 uses per rest"
+   * @returns {{uses: number|null, recovery: string|null}}
+   */
+  _parseUses(description) {
+    const match = description.match(/\b(?:(once|twice|thrice)|(one|two|three|four|five|\d+)\s+(?:times|uses))\s+(?:per|a|an|each)\s+(scene|session|short rest|long rest|rest)\b/);
+    if (!match) return { uses: null, recovery: null };
+    
+    const amount = match[1] || match[2];
+    return {
+      uses: NUMBER_WORDS[amount] ?? parseInt(amount),
+      recovery: RECOVERY_TYPES[match[3]]
+    };
+  }
+  
+  /**
+   * Damage parts for the damage in a text, as `{applyTo, type, formula}`:
+   * - Hit Point damage with an optional flat bonus and either type: "1d8+3 physical", "2d6 direct magical",
+   *   "1d10+2 physical or magical", "3 phy"
+   * - Stress targets mark or take: "they must mark a Stress", "take 1d4 Stress"
+   * - Armor Slots targets mark: "the target must mark an Armor Slot"
+   * Stress and Armor Slots the adversary marks itself are costs, not damage.
+   */
+  _parseDamageParts(text) {
+    const damageParts = [];
+    const amount = '(\\d+d\\d+(?:\\s*[+-]\\s*\\d+)?|\\d+|a|an|one|two|three)';
+    const targetMarks = '(?:must|they|targets?|it)\\s+(?:also\\s+)?mark';
+    const formula = value => String(NUMBER_WORDS[value.toLowerCase()] ?? value).replace(/\s+/g, '');
+    const damageType = value => value.toLowerCase().startsWith('phy') ? 'physical' : 'magical';
+    
+    const hitPointPattern = /(\d+d\d+(?:\s*[+-]\s*\d+)?|\d+)\s+(?:direct\s+)?(physical|magic(?:al)?|phy|mag)(?:\s+(?:or|and|\/)\s+(physical|magic(?:al)?|phy|mag))?\b/gi;
+    for (const match of text.matchAll(hitPointPattern)) {
+      damageParts.push({
+        applyTo: 'hitPoints',
+        type: [...new Set([match[2], match[3]].filter(type => type).map(damageType))],
+        formula: formula(match[1])
+      });
+    }
+    
+    const stressPatterns = [
+      new RegExp(`${targetMarks}\\s+${amount}\\s+(?:additional\\s+)?stress\\b`, 'gi'),
+      new RegExp(`\\b(?:takes?|loses?)\\s+${amount}\\s+stress\\b`, 'gi')
+    ];
+    for (const pattern of stressPatterns) {
+      for (const match of text.matchAll(pattern)) {
+        damageParts.push({ applyTo: 'stress', type: [], formula: formula(match[1]) });
+      }
+    }
+    
+    const armorPattern = new RegExp(`${targetMarks}\\s+${amount}\\s+(?:additional\\s+)?armor slots?\\b`, 'gi');
+    for (const match of text.matchAll(armorPattern)) {
+      damageParts.push({ applyTo: 'armor', type: [], formula: formula(match[1]) });
+    }
+    
+    return damageParts;
+  }
+  
+  /**
+   * A feature description without the text matched by `split` action rules
+   */
+  _removeSplitText(description, ruleMatches) {
+    return ruleMatches
+      .filter(({ rule, match }) => rule.split && match)
+      .reduce((text, { match }) => text.replace(match[0], ' '), description)
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  
+  /**
+   * Apply the action rules matching a feature to its parsed action details
+   */
+  _applyActionRules(feature, details, ruleMatches) {
+    for (const { rule, match } of ruleMatches) {
+      if (rule.range) {
+        details.range = rule.range;
+      }
+      if (rule.actionType) {
+        details.actionType = rule.actionType;
+        details.attackType = rule.actionType;
+      }
+      if (rule.damage !== undefined) {
+        details.damageParts = this._parseRuleDamage(rule.damage, match);
+      }
+      
+      for (const template of rule.addActions ?? []) {
+        details.extraActions.push({
+          name: this.actionRules.expand(template.name, match) || feature.name,
+          type: template.type || 'damage',
+          description: (this.actionRules.expand(template.description, match) || '').trim(),
+          damageParts: this._parseRuleDamage(template.damage, match),
+          range: template.range || '',
+          img: template.img || null
+        });
+      }
+    }
+  }
+  
+  /**
+   * Damage parts for the damage of a rule: a "1d6 physical" string, a list of them, or false for none
+   */
+  _parseRuleDamage(damage, match) {
+    if (!damage) return [];
+    const texts = Array.isArray(damage) ? damage : [damage];
+    return texts.flatMap(text => this._parseDamageParts(this.actionRules.expand(text, match)));
+  }
+  
   /**
    * Debug logging helper
    */
@@ -0,0 +1,160 @@
+import { loadRuleSetting } from './rule-settings.js';
+
+const MODULE_ID = 'daggerheart-statblock-importer';
+
+// Images used when no rule or art file matches
+const DEFAULT_PORTRAITS = {
+  adversary: 'systems/daggerheart/assets/icons/documents/actors/dragon-head.svg',
+  environment: 'icons/svg/mystery-man.svg'
+};
+const DEFAULT_FEATURE_ICON = 'icons/creatures/abilities/mouth-teeth-rows-red.webp';
+
+const IMAGE_EXTENSIONS = ['webp', 'png', 'jpg', 'jpeg', 'svg', 'avif'];
+
+/**
+ * Picks portrait, token and feature icon images for imported statblocks.
+ *
+ * Actor art comes from, in order: a file in the configured art directory named after the
+ * creature ("acid-burrower.webp", with "acid-burrower-token.webp" for the token), then the
+ * art rules. Rules are read from the artRules setting, a JSON list such as
+ * `[{"keyword": "burrower", "portrait": "...", "token": "..."}, {"featureType": "reaction", "icon": "..."}]`.
+ *
+ * A rule matches on one of `name` (exact creature name), `keyword` (part of the name), `subtype`
+ * (adversary type), `environmentType`, `feature` (part of a feature name) or `featureType`.
+ * More specific matches win: name over keyword over type; among equals, the first rule wins.
+ */
+export class ArtResolver {
+  constructor() {
+    this.debugMode = game?.settings?.get(MODULE_ID, 'debugMode') || false;
+    this.rules = loadRuleSetting('artRules');
+    this.artDirectory = game?.settings?.get(MODULE_ID, 'artDirectory') || '';
+    this._directoryFiles = null;
+  }
+  
+  /**
+   * Portrait and token image for a statblock, preferring art files named after the creature
+   * @param {Object} parsedData - The parsed statblock data
+   * @returns {Promise<{portrait: string, token: string}>}
+   */
+  async resolveActorArt(parsedData) {
+    const files = await this._findArtFiles(parsedData.name);
+    const ruleArt = this.resolveRuleArt(parsedData);
+    
+    const art = files.portrait
+      ? { portrait: files.portrait, token: files.token ?? files.portrait }
+      : { portrait: ruleArt.portrait, token: files.token ?? ruleArt.token };
+    
+    this._debug('Resolved actor art', { name: parsedData.name, art, files });
+    return art;
+  }
+  
+  /**
+   * Portrait and token image for a statblock from the art rules alone
+   * @param {Object} parsedData - The parsed statblock data
+   * @returns {{portrait: string, token: string}}
+   */
+  resolveRuleArt(parsedData) {
+    const portraitRule = this._findRule(this._actorMatchers(parsedData), rule => rule.portrait);
+    const tokenRule = this._findRule(this._actorMatchers(parsedData), rule => rule.token);
+    const portrait = portraitRule?.portrait ?? DEFAULT_PORTRAITS[parsedData.type] ?? DEFAULT_PORTRAITS.adversary;
+    
+    return { portrait, token: tokenRule?.token ?? portrait };
+  }
+  
+  /**
+   * Icon for a feature item and its actions
+   * @param {Object} feature - A parsed feature
+   * @returns {string}
+   */
+  resolveFeatureIcon(feature) {
+    const name = (feature.name || '').toLowerCase();
+    const rule = this._findRule([
+      rule => rule.feature && name.includes(String(rule.feature).toLowerCase()),
+      rule => rule.featureType && String(rule.featureType).toLowerCase() === feature.type
+    ], rule => rule.icon);
+    
+    return rule?.icon ?? DEFAULT_FEATURE_ICON;
+  }
+  
+  /**
+   * Rule matchers for an actor, most specific first
+   */
+  _actorMatchers(parsedData) {
+    const name = (parsedData.name || '').toLowerCase();
+    const subtype = (parsedData.subtype || '').toLowerCase();
+    const isEnvironment = parsedData.type === 'environment';
+    
+    return [
+      rule => rule.name && String(rule.name).toLowerCase() === name,
+      rule => rule.keyword && name.includes(String(rule.keyword).toLowerCase()),
+      rule => isEnvironment
+        ? rule.environmentType && String(rule.environmentType).toLowerCase() === subtype
+        : rule.subtype && String(rule.subtype).toLowerCase() === subtype
+    ];
+  }
+  
+  /**
+   * The first rule with the wanted image for the most specific matcher that has one
+   */
+  _findRule(matchers, hasImage) {
+    for (const matches of matchers) {
+      const rule = this.rules.find(rule => matches(rule) && hasImage(rule));
+      if (rule) return rule;
+    }
+    return null;
+  }
+  
+  /**
+   * Art files named after the creature in the art directory
+   * @returns {Promise<{portrait: string|undefined, token: string|undefined}>}
+   */
+  async _findArtFiles(name) {
+    const files = await this._listArtDirectory();
+    const slug = this._slugify(name);
+    if (!slug) return {};
+    
+    const byName = new Map(files.map(file => {
+      const baseName = decodeURIComponent(file.split('/').pop()).replace(/\.[^.]+$/, '');
+      return [this._slugify(baseName), file];
+    }));
+    
+    return {
+      portrait: byName.get(slug),
+      token: byName.get(`${slug}token`)
+    };
+  }
+  
+  /**
+   * Image files in the art directory, read once per resolver
+   */
+  async _listArtDirectory() {
+    if (this._directoryFiles) return this._directoryFiles;
+    this._directoryFiles = [];
+    if (!this.artDirectory) return this._directoryFiles;
+    
+    try {
+      const picker = foundry.applications?.apps?.FilePicker?.implementation ?? FilePicker;
+      const result = await picker.browse('data', this.artDirectory, { extensions: IMAGE_EXTENSIONS.map(ext => `.${ext}`) });
+      this._directoryFiles = result.files;
+    } catch (error) {
+      console.warn(`Daggerheart Statblock Importer | Could not read the art directory ${this.artDirectory}`, error);
+    }
+    return this._directoryFiles;
+  }
+  
+  /**
+   * "Acid Burrower" and "acid_burrower" both become "acidburrower"
+   */
+  _slugify(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+  
+  /**
+   * Debug logging helper
+   */
+  _debug(message, data = null) {
+    if (this.debugMode) {
+      console.log(`ArtResolver | ${message}`, data);
+    }
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Places the adversaries of an imported encounter on the current scene
+ */
+export class EncounterSpawner {
+  constructor() {
+    this.debugMode = game?.settings?.get('daggerheart-statblock-importer', 'debugMode') || false;
+  }
+  
+  /**
+   * Check whether a folder holds an imported encounter
+   * @param {Folder} folder - The folder to check
+   * @returns {boolean}
+   */
+  static isEncounterFolder(folder) {
+    return !!folder?.getFlag('daggerheart-statblock-importer', 'encounter');
+  }
+  
+  /**
+   * Create one token per adversary of the encounter, grouped around the centre of the scene
+   * @param {Folder} folder - The encounter folder created by the importer
+   * @returns {TokenDocument[]} The created tokens
+   */
+  async spawn(folder) {
+    const encounter = folder?.getFlag('daggerheart-statblock-importer', 'encounter');
+    if (!encounter) {
+      throw new Error(game.i18n.localize('daggerheart-statblock-importer.errors.notEncounter'));
+    }
+    
+    const scene = canvas.scene;
+    if (!scene) {
+      throw new Error(game.i18n.localize('daggerheart-statblock-importer.errors.noScene'));
+    }
+    
+    const total = encounter.composition.reduce((sum, entry) => sum + entry.count, 0);
+    const columns = Math.max(1, Math.ceil(Math.sqrt(total)));
+    const gridSize = canvas.grid.size;
+    const sceneRect = canvas.dimensions.sceneRect;
+    const originX = sceneRect.x + Math.floor(sceneRect.width / 2) - Math.floor(columns / 2) * gridSize;
+    const originY = sceneRect.y + Math.floor(sceneRect.height / 2) - Math.floor(columns / 2) * gridSize;
+    
+    const tokens = [];
+    let index = 0;
+    
+    for (const entry of encounter.composition) {
+      const actor = game.actors.get(entry.actorId);
+      if (!actor) {
+        ui.notifications.warn(
+          game.i18n.format('daggerheart-statblock-importer.warnings.encounterActorMissing', { name: entry.name })
+        );
+        continue;
+      }
+      
+      for (let i = 0; i < entry.count; i++) {
+        const x = originX + (index % columns) * gridSize;
+        const y = originY + Math.floor(index / columns) * gridSize;
+        const tokenDocument = await actor.getTokenDocument({ x, y });
+        tokens.push(tokenDocument.toObject());
+        index++;
+      }
+    }
+    
+    this._debug('Spawning encounter tokens', { encounter, tokens });
+    return scene.createEmbeddedDocuments('Token', tokens);
+  }
+  
+  /**
+   * Debug logging helper
+   */
+  _debug(message, data = null) {
+    if (this.debugMode) {
+      console.log(`EncounterSpawner | ${message}`, data);
+    }
+  }
+}
@@ -0,0 +1,136 @@
+import { freshcutgrassFormat } from './formats/freshcutgrass.js';
+import { srdFormat } from './formats/srd.js';
+import { homebrewFormat } from './formats/homebrew.js';
+import { freshcutgrassJsonFormat } from './formats/freshcutgrass-json.js';
+
+/**
+ * Registry of statblock source formats.
+ *
+ * Each format is an adapter object:
+ * - `id` {string}: unique identifier
+ * - `label` {string}: display name or localization key
+ * - `detect(text)` {number}: how well the text matches the format, from 0 to 1
+ * - `parse(text)` {Promise<Object|Object[]>}: the parsed statblock(s), in the
+ *   result format of StatblockParser, or parse entries ({ text, data, error })
+ */
+export class FormatRegistry {
+  constructor() {
+    this.formats = new Map();
+  }
+  
+  /**
+   * Register a format adapter, replacing any adapter with the same id
+   * @param {Object} adapter - The format adapter
+   */
+  register(adapter) {
+    if (!adapter?.id || typeof adapter.detect !== 'function' || typeof adapter.parse !== 'function') {
+      throw new Error(game.i18n.localize('daggerheart-statblock-importer.errors.invalidAdapter'));
+    }
+    
+    this.formats.set(adapter.id, adapter);
+    this._debug('Registered format', { id: adapter.id });
+  }
+  
+  /**
+   * Remove a format adapter
+   * @param {string} id - The adapter id
+   */
+  unregister(id) {
+    this.formats.delete(id);
+  }
+  
+  /**
+   * Get a format adapter by id
+   * @param {string} id - The adapter id
+   * @returns {Object|undefined}
+   */
+  get(id) {
+    return this.formats.get(id);
+  }
+  
+  /**
+   * All registered format adapters
+   * @returns {Object[]}
+   */
+  list() {
+    return Array.from(this.formats.values());
+  }
+  
+  /**
+   * Find the format that matches a text best
+   * @param {string} text - The raw text
+   * @returns {{format: Object, score: number}|null} The best match, or null if no format matches
+   */
+  detect(text) {
+    let best = null;
+    
+    for (const format of this.formats.values()) {
+      let score = 0;
+      try {
+        score = Number(format.detect(text)) || 0;
+      } catch (error) {
+        console.error(`Daggerheart Statblock Importer | Format detection failed for ${format.id}`, error);
+      }
+      
+      if (score > 0 && (!best || score > best.score)) {
+        best = { format, score };
+      }
+    }
+    
+    this._debug('Detected format', { id: best?.format.id, score: best?.score });
+    return best;
+  }
+  
+  /**
+   * Parse a text with the given format, or with the best matching one
+   * @param {string} text - The raw text
+   * @param {string|null} [formatId] - Format to use; auto-detected when omitted
+   * @returns {Array<{text: string, data: Object|null, error: Error|null}>} One entry per statblock
+   */
+  async parse(text, formatId = null) {
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      throw new Error(game.i18n.localize('daggerheart-statblock-importer.notifications.empty'));
+    }
+    
+    const format = formatId ? this.get(formatId) : this.detect(text)?.format;
+    if (!format) {
+      throw new Error(game.i18n.localize('daggerheart-statblock-importer.errors.invalidFormat'));
+    }
+    
+    const parsed = await format.parse(text);
+    const entries = (Array.isArray(parsed) ? parsed : [parsed]).map(item =>
+      item && ('data' in item || 'error' in item) ? item : { text, data: item, error: null }
+    );
+    
+    for (const entry of entries) {
+      if (entry.data) {
+        entry.data.format = format.id;
+        entry.data.sourceText = entry.text;
+        // Statblocks pasted inside an encounter keep their own source text
+        for (const statblock of entry.data.statblocks || []) {
+          statblock.format ??= format.id;
+        }
+      }
+    }
+    
+    return entries;
+  }
+  
+  /**
+   * Debug logging helper
+   */
+  _debug(message, data = null) {
+    if (game?.settings?.get('daggerheart-statblock-importer', 'debugMode')) {
+      console.log(`FormatRegistry | ${message}`, data);
+    }
+  }
+}
+
+/**
+ * The module's format registry, with the built-in formats registered
+ */
+export const formatRegistry = new FormatRegistry();
+formatRegistry.register(freshcutgrassFormat);
+formatRegistry.register(srdFormat);
+formatRegistry.register(homebrewFormat);
+formatRegistry.register(freshcutgrassJsonFormat);
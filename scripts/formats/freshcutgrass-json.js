@@ -0,0 +1,263 @@
+import { StatblockParser, ENVIRONMENT_ONLY_TYPES } from '../parser.js';
+
+/**
+ * Top-level fields of a freshcutgrass creation that the mapping reads.
+ * Anything else is reported as a warning, so new fields in the save format get noticed.
+ */
+const KNOWN_FIELDS = [
+  'id', 'kind', 'category', 'name', 'tier', 'type', 'role', 'subtype', 'description', 'motives', 'motivesAndTactics',
+  'difficulty', 'thresholds', 'hp', 'hitPoints', 'stress', 'attack', 'atk', 'weapon', 'experiences', 'experience',
+  'features', 'impulses', 'potentialAdversaries', 'adversaries', 'hordeHp', 'hpPerMember', 'image', 'version'
+];
+
+/**
+ * Save files (.json) exported from freshcutgrass.app.
+ *
+ * The JSON already holds every value as a field, so it is mapped straight onto
+ * the StatblockParser result instead of being written out and parsed as text.
+ * A file can hold a single creation, a list of them, or `{adversaries, environments}`.
+ */
+export const freshcutgrassJsonFormat = {
+  id: 'freshcutgrass-json',
+  label: 'daggerheart-statblock-importer.formats.freshcutgrassJson',
+  
+  /**
+   * Any JSON object or array; no text format starts with a brace
+   */
+  detect(text) {
+    const trimmed = text.trim();
+    if (!/^[[{]/.test(trimmed)) return 0;
+    
+    try {
+      JSON.parse(trimmed);
+      return 0.9;
+    } catch (error) {
+      return 0;
+    }
+  },
+  
+  async parse(text) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      throw new Error(game.i18n.format('daggerheart-statblock-importer.errors.invalidJson', { error: error.message }));
+    }
+    
+    const parser = new StatblockParser();
+    return collectCreations(json).map(creation => {
+      const entryText = JSON.stringify(creation, null, 2);
+      try {
+        return { text: entryText, data: mapCreation(creation, parser), error: null };
+      } catch (error) {
+        return { text: entryText, data: null, error };
+      }
+    });
+  }
+};
+
+/**
+ * The creations held by a save file
+ */
+function collectCreations(json) {
+  if (Array.isArray(json)) return json;
+  if (Array.isArray(json.adversaries) || Array.isArray(json.environments)) {
+    return [...(json.adversaries ?? []), ...(json.environments ?? [])];
+  }
+  return [json];
+}
+
+/**
+ * Map one freshcutgrass creation onto a StatblockParser result
+ */
+function mapCreation(creation, parser) {
+  if (!creation || typeof creation !== 'object') {
+    throw new Error(game.i18n.localize('daggerheart-statblock-importer.errors.invalidFormat'));
+  }
+  
+  const result = parser.createResult();
+  
+  // "type" is the adversary role in some saves and the kind of creation in others
+  const kind = String(creation.kind ?? creation.category ?? '').toLowerCase();
+  const typeField = String(creation.type ?? '').toLowerCase();
+  const subtype = String(creation.role ?? creation.subtype ?? (['adversary', 'environment'].includes(typeField) ? '' : typeField)).toLowerCase();
+  const isEnvironment = kind === 'environment' || typeField === 'environment' || ENVIRONMENT_ONLY_TYPES.includes(subtype) ||
+    creation.impulses !== undefined || creation.potentialAdversaries !== undefined;
+  
+  result.name = String(creation.name ?? '').trim();
+  result.type = isEnvironment ? 'environment' : 'adversary';
+  result.subtype = subtype;
+  result.tier = parseInt(creation.tier) || 1;
+  result.description = toText(creation.description);
+  result.difficulty = parseInt(creation.difficulty) || result.difficulty;
+  result.features = (creation.features ?? []).filter(feature => toText(feature?.name)).map(mapFeature);
+  
+  if (isEnvironment) {
+    result.impulses = toText(creation.impulses);
+    result.potentialAdversaries = mapPotentialAdversaries(creation.potentialAdversaries ?? creation.adversaries);
+  } else {
+    result.motivesAndTactics = toText(creation.motivesAndTactics ?? creation.motives);
+    result.hitPoints = parseInt(creation.hp ?? creation.hitPoints) || 0;
+    result.stress = parseInt(creation.stress) || 0;
+    result.thresholds = mapThresholds(creation.thresholds);
+    result.experiences = mapExperiences(creation.experiences ?? creation.experience);
+    result.experience = result.experiences.map(experience => `${experience.name} +${experience.value}`).join(', ');
+    Object.assign(result, mapAttack(creation.attack ?? creation.atk, creation.weapon));
+    
+    const hpPerMember = parseInt(creation.hordeHp ?? creation.hpPerMember);
+    if (hpPerMember) {
+      result.horde = { hpPerMember };
+    }
+  }
+  
+  const ignored = Object.keys(creation).filter(key => !KNOWN_FIELDS.includes(key));
+  if (ignored.length > 0) {
+    result.warnings.push({
+      line: null,
+      message: game.i18n.format('daggerheart-statblock-importer.warnings.ignoredJsonFields', { fields: ignored.join(', ') })
+    });
+  }
+  
+  return parser.finalize(result);
+}
+
+/**
+ * A feature, named like the text parser names them: "Relentless (3)". A null value counts as none.
+ */
+function mapFeature(feature) {
+  const value = toText(feature.value);
+  const baseName = toText(feature.name);
+  const questions = feature.questions ?? feature.prompts ?? [];
+  
+  return {
+    name: value !== '' && !baseName.endsWith(')') ? `${baseName} (${value})` : baseName,
+    type: String(feature.type ?? 'passive').toLowerCase(),
+    value: String(value),
+    description: toText(feature.description ?? feature.text),
+    questions: Array.isArray(questions) ? questions : String(questions).split(/(?<=\?)\s+/).filter(question => question)
+  };
+}
+
+/**
+ * Thresholds as `{major, severe}`, `[major, severe]`, "8/15" or "None"
+ */
+function mapThresholds(thresholds) {
+  if (thresholds === undefined || thresholds === null) {
+    return { major: null, severe: null };
+  }
+  if (typeof thresholds === 'string') {
+    if (/^none$/i.test(thresholds.trim())) return { major: 0, severe: 0 };
+    const [major, severe] = thresholds.split('/');
+    return { major: toNumber(major), severe: toNumber(severe) };
+  }
+  if (Array.isArray(thresholds)) {
+    return { major: toNumber(thresholds[0]), severe: toNumber(thresholds[1]) };
+  }
+  return { major: toNumber(thresholds.major), severe: toNumber(thresholds.severe) };
+}
+
+/**
+ * Experiences as a list of `{name, value}` or "Name +2" strings, a `{name: value}` map, or a comma-separated string
+ */
+function mapExperiences(experiences) {
+  if (!experiences) return [];
+  
+  const entries = typeof experiences === 'string' ? experiences.split(',')
+    : Array.isArray(experiences) ? experiences
+    : Object.entries(experiences).map(([name, value]) => ({ name, value }));
+  
+  // Entries without a name are skipped
+  return entries.map(entry => {
+    if (typeof entry !== 'string') {
+      const name = toText(entry?.name);
+      return name ? { name, value: parseInt(entry.value ?? entry.modifier) || 0 } : null;
+    }
+    const match = entry.trim().match(/^(.+?)\s+\+?(-?\d+)$/);
+    return match ? { name: match[1], value: parseInt(match[2]) } : null;
+  }).filter(entry => entry?.name);
+}
+
+/**
+ * The attack modifier and standard attack. The attack is either a modifier with a separate
+ * weapon, or one object holding both
+ */
+function mapAttack(attack, weapon) {
+  const attackObject = attack && typeof attack === 'object' ? attack : {};
+  const modifier = parseInt(typeof attack === 'object' ? attack?.modifier ?? attack?.bonus : attack) || 0;
+  const source = weapon ?? attackObject;
+  const damage = mapDamage(source.damage);
+  
+  return {
+    attack: modifier,
+    attackInfo: damage ? {
+      name: source.name || 'Attack',
+      range: source.range || 'Melee',
+      ...damage
+    } : null
+  };
+}
+
+/**
+ * Damage as "1d12+2 phy" or `{dice, bonus, type}`
+ */
+function mapDamage(damage) {
+  if (!damage) return null;
+  
+  if (typeof damage === 'string') {
+    const match = damage.match(/(\d+d\d+)(?:\s*\+\s*(\d+))?\s*(phy|mag|physical|magical)?/i);
+    if (!match) return null;
+    return {
+      dice: match[1],
+      bonus: match[2] ? parseInt(match[2]) : 0,
+      damageType: match[3]?.toLowerCase().startsWith('mag') ? 'magical' : 'physical'
+    };
+  }
+  
+  if (!damage.dice) return null;
+  return {
+    dice: damage.dice,
+    bonus: parseInt(damage.bonus) || 0,
+    damageType: String(damage.type ?? '').toLowerCase().startsWith('mag') ? 'magical' : 'physical'
+  };
+}
+
+/**
+ * Potential adversaries as `{label, adversaries}` groups, or a plain list of names
+ */
+function mapPotentialAdversaries(adversaries) {
+  if (!adversaries) return [];
+  if (typeof adversaries === 'string') {
+    return [{ label: '', names: adversaries.split(',').map(name => name.trim()).filter(name => name) }];
+  }
+  
+  const ungrouped = { label: '', names: [] };
+  const groups = [];
+  for (const entry of adversaries) {
+    if (typeof entry === 'string') {
+      ungrouped.names.push(entry);
+    } else {
+      groups.push({ label: entry.label ?? entry.name ?? '', names: [...(entry.adversaries ?? entry.names ?? [])] });
+    }
+  }
+  
+  if (ungrouped.names.length > 0) {
+    groups.push(ungrouped);
+  }
+  return groups;
+}
+
+/**
+ * Text fields are strings, or lists joined with commas
+ */
+function toText(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Integer value of a field, or null when it has none
+ */
+function toNumber(value) {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? null : number;
+}
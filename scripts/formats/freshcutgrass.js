@@ -0,0 +1,26 @@
+import { StatblockParser } from '../parser.js';
+
+/**
+ * Print text copied from freshcutgrass.app
+ */
+export const freshcutgrassFormat = {
+  id: 'freshcutgrass',
+  label: 'daggerheart-statblock-importer.formats.freshcutgrass',
+  
+  /**
+   * Score the "NAME T# Type" header, the HP & STRESS block and its check boxes
+   */
+  detect(text) {
+    let score = 0;
+    if (/^.+\s+T\d+\s+\w+/m.test(text) || /^T\d+\s+\w+/m.test(text)) score += 0.4;
+    if (/HP\s*&\s*STRESS/i.test(text)) score += 0.4;
+    if (/\[\s*\]/.test(text)) score += 0.1;
+    if (/^FEATURES\s*$/m.test(text)) score += 0.1;
+    return Math.min(score, 1);
+  },
+  
+  // The parser's built-in layout is this one, so it needs no options
+  async parse(text) {
+    return new StatblockParser().parseAll(text);
+  }
+};
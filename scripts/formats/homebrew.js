@@ -0,0 +1,43 @@
+import { StatblockParser } from '../parser.js';
+import { parsePipeStatLine, parseInlineFeatureHeader } from './srd.js';
+
+/**
+ * Feature headers that only loosely follow "Name - Type": "Ramp Up: Passive",
+ * "Relentless (3): Passive" or "Ramp Up Passive"
+ */
+function parseLooseFeatureHeader(line) {
+  const colonMatch = line.match(/^(.+?)\s*:\s*(Action|Passive|Reaction)\s*$/i);
+  if (colonMatch) return { name: colonMatch[1], type: colonMatch[2] };
+  
+  // Without a separator, only when there is a name of some length before the type
+  const bareMatch = line.match(/^(.+?)\s+(Action|Passive|Reaction)\s*$/i);
+  if (bareMatch && bareMatch[1].trim().length > 3) return { name: bareMatch[1], type: bareMatch[2] };
+  
+  return null;
+}
+
+/**
+ * Fallback for homebrew statblocks that only loosely follow the published layouts.
+ * It matches any text with a Difficulty or a feature header, but with a low score,
+ * so the specific formats win whenever they apply.
+ *
+ * It reads both published layouts and also accepts loose feature headers, reporting
+ * each feature started by one as ambiguous.
+ */
+export const homebrewFormat = {
+  id: 'homebrew',
+  label: 'daggerheart-statblock-importer.formats.homebrew',
+  
+  detect(text) {
+    if (/Difficulty:\s*\d+/i.test(text) || /-\s*(Action|Passive|Reaction)\b/i.test(text)) return 0.1;
+    return 0.05;
+  },
+  
+  async parse(text) {
+    return new StatblockParser({
+      statLineParsers: [parsePipeStatLine],
+      featureHeaderParsers: [parseInlineFeatureHeader],
+      looseFeatureHeaderParsers: [parseLooseFeatureHeader]
+    }).parseAll(text);
+  }
+};
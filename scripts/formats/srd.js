@@ -0,0 +1,61 @@
+import { StatblockParser } from '../parser.js';
+
+/**
+ * "Difficulty: 14 | Thresholds: 8/15 | HP: 8 | Stress: 3" and "ATK: +3 | Claws: Very Close | 1d12+2 phy":
+ * several stats on one line, separated by pipes
+ */
+export function parsePipeStatLine(line, result, parser) {
+  if (!line.includes('|')) return false;
+  
+  const attackMatch = line.match(/^(?:Attack|ATK):\s*([+-]?\d+)\s*\|\s*(.+)$/i);
+  if (attackMatch) {
+    result.attack = parseInt(attackMatch[1]);
+    parser.parseStatLine(attackMatch[2], result);
+    return true;
+  }
+  
+  if (/^Difficulty:/i.test(line)) {
+    for (const segment of line.split('|')) {
+      parser.parseStatLine(segment.trim(), result);
+    }
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * "Relentless (3) - Passive: The Burrower can be spotlighted...", with the description on the header line
+ */
+export function parseInlineFeatureHeader(line) {
+  const match = line.match(/^(.+?)\s*-\s*(Action|Passive|Reaction)\s*:\s*(.*)$/i);
+  return match ? { name: match[1], type: match[2], description: match[3] } : null;
+}
+
+/**
+ * Statblocks from the core rulebook and the SRD
+ */
+export const srdFormat = {
+  id: 'srd',
+  label: 'daggerheart-statblock-importer.formats.srd',
+  
+  /**
+   * Score the "Tier # Type" header, the pipe-separated stat lines and the
+   * "Name - Type:" feature headers
+   */
+  detect(text) {
+    let score = 0;
+    if (/^\W*Tier\s*\d+\s+\w+/im.test(text)) score += 0.3;
+    if (/^\W*Difficulty:\s*\d+\s*\|/im.test(text)) score += 0.4;
+    if (/^\W*ATK:\s*[+-]?\d+/im.test(text)) score += 0.2;
+    if (/-\s*(Action|Passive|Reaction)\s*:/i.test(text)) score += 0.1;
+    return Math.min(score, 1);
+  },
+  
+  async parse(text) {
+    return new StatblockParser({
+      statLineParsers: [parsePipeStatLine],
+      featureHeaderParsers: [parseInlineFeatureHeader]
+    }).parseAll(text);
+  }
+};
@@ -1,11 +1,47 @@
-import { StatblockParser } from './parser.js';
 import { DaggerheartActorCreator } from './actor-creator.js';
+import { StatblockParser } from './parser.js';
+import { formatRegistry } from './format-registry.js';
+import { StatblockExporter } from './statblock-exporter.js';
+
+/**
+ * Options of the import target selector: the world (optionally a folder in it) or an unlocked Actor compendium.
+ * Values are "" (the default folder setting), "root", "folder:<id>" or "pack:<collection>".
+ */
+function buildTargetOptions(selected) {
+  const option = (value, label) =>
+    `<option value="${value}" ${value === selected ? "selected" : ""}>${Handlebars.escapeExpression(label)}</option>`;
+  
+  const folders = game.folders
+    .filter(folder => folder.type === "Actor")
+    .map(folder => option(`folder:${folder.id}`, `${"\u00A0\u00A0".repeat(folder.depth - 1)}${folder.name}`));
+  const packs = game.packs
+    .filter(pack => pack.documentName === "Actor" && !pack.locked)
+    .map(pack => option(`pack:${pack.collection}`, pack.title));
+  
+  const defaultFolder = game.settings.get("daggerheart-statblock-importer", "defaultFolder");
+  const worldOptions = defaultFolder
+    ? [
+      option("", game.i18n.format("daggerheart-statblock-importer.dialog.defaultFolder", { folder: defaultFolder })),
+      option("root", game.i18n.localize("daggerheart-statblock-importer.dialog.worldRoot"))
+    ]
+    : [option("", game.i18n.localize("daggerheart-statblock-importer.dialog.worldRoot"))];
+  
+  return `
+    ${worldOptions.join("")}
+    ${folders.length ? `<optgroup label="${game.i18n.localize("daggerheart-statblock-importer.dialog.worldFolders")}">${folders.join("")}</optgroup>` : ""}
+    ${packs.length ? `<optgroup label="${game.i18n.localize("daggerheart-statblock-importer.dialog.compendiums")}">${packs.join("")}</optgroup>` : ""}`;
+}
 
 /**
  * Dialog for importing Daggerheart statblocks
  */
 export class ImportDialog extends Dialog {
-  constructor(options = {}) {
+  /**
+   * @param {Object} [options] - Dialog options
+   * @param {Object} [options.source] - Statblock to pre-fill, as stored on imported actors: `{text, format}`
+   * @param {string} [options.target] - Preselected import target ("folder:<id>" or "pack:<collection>")
+   */
+  constructor({ source = null, target = "", ...options } = {}) {
     const data = {
       title: game.i18n.localize('daggerheart-statblock-importer.dialog.title'),
       content: `
@@ -15,12 +51,48 @@ export class ImportDialog extends Dialog {
               ${game.i18n.localize("daggerheart-statblock-importer.dialog.instructions")}
             </div>
             
-            <textarea 
-              class="statblock-input" 
-              name="statblockText" 
-              placeholder="${game.i18n.localize('daggerheart-statblock-importer.dialog.placeholder')}"
-              required
-            ></textarea>
+            <div class="form-group format-select">
+              <label>${game.i18n.localize("daggerheart-statblock-importer.dialog.format")}</label>
+              <select name="format">
+                <option value="">${game.i18n.localize("daggerheart-statblock-importer.dialog.autoDetect")}</option>
+                ${formatRegistry.list().map(format =>
+                  `<option value="${Handlebars.escapeExpression(format.id)}" ${source?.format === format.id ? "selected" : ""}>${Handlebars.escapeExpression(game.i18n.localize(format.label))}</option>`
+                ).join("")}
+              </select>
+              <span class="detected-format"></span>
+              <button type="button" class="load-file">
+                <i class="fas fa-file-upload"></i>
+                ${game.i18n.localize("daggerheart-statblock-importer.dialog.loadFile")}
+              </button>
+              <input type="file" class="statblock-file" accept=".json,application/json" hidden>
+            </div>
+            
+            <div class="form-group target-select">
+              <label>${game.i18n.localize("daggerheart-statblock-importer.dialog.target")}</label>
+              <select name="target">${buildTargetOptions(target)}</select>
+            </div>
+            
+            <div class="import-columns">
+              <div class="import-source">
+                <textarea 
+                  class="statblock-input" 
+                  name="statblockText" 
+                  placeholder="${game.i18n.localize('daggerheart-statblock-importer.dialog.placeholder')}"
+                  required
+                >${Handlebars.escapeExpression(source?.text ?? "")}</textarea>
+                
+                <div class="parse-diagnostics"></div>
+                
+                <label class="keep-unparsed">
+                  <input type="checkbox" name="keepUnparsed" checked>
+                  ${game.i18n.localize("daggerheart-statblock-importer.dialog.keepUnparsed")}
+                </label>
+              </div>
+              
+              <div class="parse-preview">
+                <p class="preview-empty">${game.i18n.localize("daggerheart-statblock-importer.preview.empty")}</p>
+              </div>
+            </div>
           </div>
         </form>
       `,
@@ -43,8 +115,11 @@ export class ImportDialog extends Dialog {
     super(data, options);
     
     this.options.classes = ['daggerheart-statblock-importer', 'dialog'];
-    this.options.width = 600;
-    this.options.height = 500;
+    this.options.width = 960;
+    this.options.height = 640;
+    
+    // Last parse of the pasted text, edited in place by the preview
+    this._preview = null;
     this.options.resizable = true;
   }
   
@@ -54,6 +129,299 @@ export class ImportDialog extends Dialog {
     
     // Focus on textarea when dialog opens
     html.find('.statblock-input').focus();
+    
+    // A pre-filled statblock is previewed straight away
+    if (html.find('.statblock-input').val().trim()) {
+      this._updateDetectedFormat(html);
+      this._updatePreview(html);
+    }
+    
+    // Re-parse as the text changes: detected format, diagnostics and the editable preview
+    const updatePreview = foundry.utils.debounce(() => this._updatePreview(html), 300);
+    html.find('.statblock-input').on('input', () => {
+      this._updateDetectedFormat(html);
+      updatePreview();
+    });
+    html.find("[name='format']").on('change', () => this._updatePreview(html));
+    
+    // freshcutgrass JSON save files, picked or dropped onto the text area
+    html.find('.load-file').on('click', () => html.find('.statblock-file').trigger('click'));
+    html.find('.statblock-file').on('change', event => {
+      const [file] = event.currentTarget.files;
+      if (file) this._loadFile(html, file);
+      event.currentTarget.value = "";
+    });
+    html.find('.statblock-input')
+      .on('dragover', event => event.preventDefault())
+      .on('drop', event => {
+        const [file] = event.originalEvent.dataTransfer?.files ?? [];
+        if (!file) return;
+        event.preventDefault();
+        this._loadFile(html, file);
+      });
+    
+    // Corrections made in the preview are written back into the parsed data
+    html.find('.parse-preview').on('change', '[data-path]', event => this._onPreviewEdit(event));
+  }
+  
+  /**
+   * The selected import target as creation options: `{folder}` or `{pack}`, or nothing for the default folder
+   */
+  _getTarget(html) {
+    const target = html.find("[name='target']").val() || "";
+    if (target === "root") return { folder: null };
+    if (target.startsWith("pack:")) return { pack: target.slice("pack:".length) };
+    if (target.startsWith("folder:")) return { folder: target.slice("folder:".length) };
+    return {};
+  }
+  
+  /**
+   * Put the contents of a picked or dropped file in the text area and preview it
+   */
+  async _loadFile(html, file) {
+    try {
+      html.find(".statblock-input").val(await file.text());
+    } catch (error) {
+      ui.notifications.error(game.i18n.format("daggerheart-statblock-importer.errors.fileRead", { name: file.name }));
+      return;
+    }
+    
+    this._updateDetectedFormat(html);
+    await this._updatePreview(html);
+  }
+  
+  /**
+   * Parse the current text, then refresh the diagnostics and the preview
+   */
+  async _updatePreview(html) {
+    const text = html.find(".statblock-input").val().trim();
+    const formatId = html.find("[name='format']").val() || null;
+    if (!text) {
+      this._preview = null;
+      html.find(".parse-diagnostics").empty();
+      html.find(".parse-preview").html(
+        `<p class="preview-empty">${game.i18n.localize("daggerheart-statblock-importer.preview.empty")}</p>`
+      );
+      return;
+    }
+    
+    try {
+      const entries = await formatRegistry.parse(text, formatId);
+      this._preview = { text, formatId, entries };
+    } catch (error) {
+      this._preview = null;
+      html.find(".parse-diagnostics").html(`<p class="diagnostic failure">${this._escape(error.message)}</p>`);
+      html.find(".parse-preview").empty();
+      return;
+    }
+    
+    this._renderDiagnostics(html, this._preview.entries);
+    this._renderPreview(html, this._preview.entries);
+  }
+  
+  /**
+   * List the warnings of every parsed statblock before anything is imported
+   */
+  _renderDiagnostics(html, entries) {
+    const container = html.find(".parse-diagnostics");
+    const rows = entries.flatMap(entry => {
+      if (entry.error) {
+        return [`<li class="diagnostic failure">${this._escape(this._getStatblockLabel(entry.text))}: ${this._escape(entry.error.message)}</li>`];
+      }
+      return entry.data.warnings.map(warning =>
+        `<li class="diagnostic">${this._escape(entry.data.name)}: ${this._escape(this._formatWarning(warning))}</li>`
+      );
+    });
+    
+    container.html(rows.length
+      ? `<ul>${rows.join("")}</ul>`
+      : `<p class="diagnostic success">${game.i18n.localize("daggerheart-statblock-importer.dialog.noWarnings")}</p>`);
+  }
+  
+  /**
+   * Render the parsed statblocks as editable fields
+   */
+  _renderPreview(html, entries) {
+    const actorCreator = new DaggerheartActorCreator();
+    const sections = entries.map((entry, index) => {
+      if (entry.error) {
+        return `
+          <section class="preview-entry failure">
+            <h3>${this._escape(this._getStatblockLabel(entry.text))}</h3>
+            <p>${this._escape(entry.error.message)}</p>
+          </section>`;
+      }
+      
+      const data = entry.data;
+      if (data.type === "encounter") {
+        return `
+          <section class="preview-entry" data-entry="${index}">
+            ${this._previewField("name", data.name, "text", "preview-name")}
+            <ul>${data.composition.map(item => `<li>${item.count}× ${this._escape(item.name)}</li>`).join("")}</ul>
+          </section>`;
+      }
+      
+      const isEnvironment = data.type === "environment";
+      const stats = isEnvironment
+        ? [["difficulty", data.difficulty]]
+        : [
+          ["tier", data.tier],
+          ["difficulty", data.difficulty],
+          ["attack", data.attack],
+          ["hitPoints", data.hitPoints],
+          ["stress", data.stress],
+          ["thresholds.major", data.thresholds?.major],
+          ["thresholds.severe", data.thresholds?.severe]
+        ];
+      
+      return `
+        <section class="preview-entry" data-entry="${index}">
+          <header>
+            ${this._previewField("name", data.name, "text", "preview-name")}
+            <span class="preview-type">${this._escape(`T${data.tier} ${data.subtype || data.type}`)}</span>
+          </header>
+          
+          <div class="preview-stats">
+            ${stats.map(([path, value]) => `
+              <label>
+                ${game.i18n.localize(`daggerheart-statblock-importer.preview.${path}`)}
+                ${this._previewField(path, value, "number")}
+              </label>`).join("")}
+          </div>
+          
+          ${data.experiences?.length ? `
+            <h4>${game.i18n.localize("daggerheart-statblock-importer.preview.experiences")}</h4>
+            <div class="preview-experiences">
+              ${data.experiences.map((experience, i) => `
+                <div class="preview-experience">
+                  ${this._previewField(`experiences.${i}.name`, experience.name)}
+                  ${this._previewField(`experiences.${i}.value`, experience.value, "number")}
+                </div>`).join("")}
+            </div>` : ""}
+          
+          <h4>${game.i18n.localize("daggerheart-statblock-importer.preview.features")}</h4>
+          ${data.features.map((feature, i) => this._renderPreviewFeature(feature, i, actorCreator)).join("")}
+        </section>`;
+    });
+    
+    html.find(".parse-preview").html(sections.join(""));
+  }
+  
+  /**
+   * One feature of the preview: name, detected type and what its action will contain
+   */
+  _renderPreviewFeature(feature, index, actorCreator) {
+    const types = ["passive", "action", "reaction"].map(type =>
+      `<option value="${type}" ${feature.type === type ? "selected" : ""}>${
+        game.i18n.localize(`daggerheart-statblock-importer.preview.featureTypes.${type}`)
+      }</option>`
+    ).join("");
+    
+    return `
+      <div class="preview-feature">
+        <div class="preview-feature-header">
+          ${this._previewField(`features.${index}.name`, feature.name)}
+          <select data-path="features.${index}.type">${types}</select>
+        </div>
+        <div class="preview-feature-details">${this._formatFeatureSummary(feature, actorCreator)}</div>
+        <textarea data-path="features.${index}.description" rows="2">${this._escape(feature.description)}</textarea>
+      </div>`;
+  }
+  
+  /**
+   * Countdown, effects, cost, use limit, damage, range, target and conditions the feature's actions will get
+   */
+  _formatFeatureSummary(feature, actorCreator) {
+    const summary = actorCreator.summarizeFeature(feature);
+    return [
+      ["countdown", summary.countdown],
+      ["effects", summary.effects.join(", ")],
+      ["cost", summary.cost.join(` ${game.i18n.localize("daggerheart-statblock-importer.preview.or")} `)],
+      ["uses", summary.uses],
+      ["damage", summary.damage.join(", ")],
+      ["range", summary.range],
+      ["target", summary.target],
+      ["conditions", summary.conditions.join(", ")]
+    ].filter(([, value]) => value)
+      .map(([key, value]) => `${game.i18n.localize(`daggerheart-statblock-importer.preview.${key}`)}: ${this._escape(value)}`)
+      .join(" | ");
+  }
+  
+  /**
+   * An input bound to a path of the parsed data
+   */
+  _previewField(path, value, type = "text", cssClass = "") {
+    return `<input type="${type}" class="${cssClass}" data-path="${path}" data-dtype="${type === "number" ? "Number" : "String"}" value="${this._escape(value)}">`;
+  }
+  
+  /**
+   * Write an edited preview field back into the parsed statblock
+   */
+  _onPreviewEdit(event) {
+    const input = event.currentTarget;
+    const index = Number(input.closest("[data-entry]")?.dataset.entry);
+    const entry = this._preview?.entries[index];
+    if (!entry?.data) return;
+    
+    let value = input.value.trim();
+    if (input.dataset.dtype === "Number") {
+      value = value === "" ? null : Number(value);
+    }
+    foundry.utils.setProperty(entry.data, input.dataset.path, value);
+    
+    // Countdown, cost, damage and range follow the edited type and description
+    if (input.dataset.path.startsWith("features.")) {
+      const feature = foundry.utils.getProperty(entry.data, input.dataset.path.split(".").slice(0, 2).join("."));
+      feature.countdown = new StatblockParser().parseCountdown(feature) ?? undefined;
+      input.closest(".preview-feature").querySelector(".preview-feature-details").innerHTML =
+        this._formatFeatureSummary(feature, new DaggerheartActorCreator());
+    }
+    
+    if (input.dataset.path.startsWith("experiences.")) {
+      entry.data.experience = entry.data.experiences
+        .map(experience => `${experience.name} ${experience.value < 0 ? experience.value : `+${experience.value ?? 0}`}`)
+        .join(", ");
+    }
+    
+    // The stored source text is what Re-import reopens, so it is written again from the corrected statblock
+    if (entry.data.type === "adversary" || entry.data.type === "environment") {
+      entry.data.sourceText = new StatblockExporter().toText(entry.data);
+      entry.data.format = "freshcutgrass";
+    }
+  }
+  
+  /**
+   * Escape text for use in the preview markup
+   */
+  _escape(value) {
+    return Handlebars.escapeExpression(value ?? "");
+  }
+  
+  /**
+   * Warning text, prefixed with its line number when it has one
+   */
+  _formatWarning(warning) {
+    if (warning.line === null || warning.line === undefined) {
+      return warning.message;
+    }
+    return game.i18n.format("daggerheart-statblock-importer.errors.parseError", {
+      line: warning.line,
+      text: warning.message
+    });
+  }
+  
+  /**
+   * Show the auto-detected format next to the format selector
+   */
+  _updateDetectedFormat(html) {
+    const text = html.find(".statblock-input").val().trim();
+    const detected = text ? formatRegistry.detect(text) : null;
+    
+    html.find(".detected-format").text(detected
+      ? game.i18n.format("daggerheart-statblock-importer.dialog.detected", {
+        format: game.i18n.localize(detected.format.label)
+      })
+      : "");
   }
   
   /**
@@ -75,37 +443,91 @@ export class ImportDialog extends Dialog {
       game.i18n.localize("daggerheart-statblock-importer.notifications.parsing"));
     
     try {
-      // Parse the statblock
+      // Parse the statblocks
       console.log("Daggerheart Statblock Importer | Starting statblock import", { text: statblockText });
       
       ui.notifications.info(game.i18n.localize("daggerheart-statblock-importer.notifications.parsing"));
       
-      const parser = new StatblockParser();
-      const parsedData = await parser.parse(statblockText);
+      // Import the reviewed preview, unless the text changed since it was parsed
+      const formatId = html.find("[name='format']").val() || null;
+      const preview = this._preview;
+      const entries = preview?.text === statblockText && preview.formatId === formatId
+        ? preview.entries
+        : await formatRegistry.parse(statblockText, formatId);
+      const createOptions = {
+        keepUnparsed: html.find("[name='keepUnparsed']").is(":checked"),
+        ...this._getTarget(html)
+      };
       
-      console.log("Daggerheart Statblock Importer | Parsed statblock data", parsedData);
+      console.log("Daggerheart Statblock Importer | Parsed statblock data", entries);
       
-      // Create the actor
+      // Create the actors
       importButton.html("<i class=\"fas fa-spinner fa-spin\"></i> " + 
         game.i18n.localize("daggerheart-statblock-importer.notifications.creating"));
       
       const actorCreator = new DaggerheartActorCreator();
-      const actor = await actorCreator.createActor(parsedData);
+      const results = [];
       
-      console.log("Daggerheart Statblock Importer | Created actor", actor);
-      
-      // Success notification
-      ui.notifications.info(
-        game.i18n.format("daggerheart-statblock-importer.notifications.success", {
-          name: actor.name
-        })
-      );
+      for (const entry of entries) {
+        if (entry.error) {
+          results.push({ name: this._getStatblockLabel(entry.text), actor: null, error: entry.error, warnings: [] });
+          continue;
+        }
+        
+        try {
+          if (entry.data.type === "encounter") {
+            // Encounters live in world folders, which the spawner places from
+            if (createOptions.pack) {
+              throw new Error(game.i18n.localize("daggerheart-statblock-importer.errors.encounterInPack"));
+            }
+            const encounter = await actorCreator.createEncounter(entry.data, createOptions);
+            console.log("Daggerheart Statblock Importer | Created encounter", encounter);
+            results.push({ name: entry.data.name, actor: null, encounter, error: null, warnings: encounter.warnings });
+            continue;
+          }
+          
+          // Update a previously imported actor in place instead of duplicating it
+          const existing = await actorCreator.findExistingActor(entry.data, createOptions);
+          if (existing) {
+            const plan = await actorCreator.planMerge(existing, entry.data, createOptions);
+            const choice = await this._confirmMerge(existing, plan);
+            
+            if (choice === "update") {
+              const actor = await actorCreator.mergeActor(existing, plan);
+              console.log("Daggerheart Statblock Importer | Updated actor", actor);
+              results.push({ name: actor.name, actor, updated: true, error: null, warnings: entry.data.warnings || [] });
+              continue;
+            }
+            if (choice !== "create") {
+              results.push({
+                name: entry.data.name,
+                actor: null,
+                error: new Error(game.i18n.localize("daggerheart-statblock-importer.errors.importSkipped")),
+                warnings: []
+              });
+              continue;
+            }
+          }
+          
+          const actor = await actorCreator.createActor(entry.data, createOptions);
+          console.log("Daggerheart Statblock Importer | Created actor", actor);
+          results.push({ name: actor.name, actor, error: null, warnings: entry.data.warnings || [] });
+        } catch (error) {
+          console.error("Daggerheart Statblock Importer | Actor creation failed", error);
+          results.push({ name: entry.data.name, actor: null, error, warnings: [] });
+        }
+      }
       
-      // Close the dialog
-      this.close();
+      if (results.length === 1) {
+        this._notifySingleResult(results[0]);
+      } else {
+        this._showSummary(results);
+      }
       
-      // Open the created actor sheet
-      actor.sheet.render(true);
+      // Close the dialog once at least one statblock was imported
+      if (results.some(result => !result.error)) {
+        this.close();
+      }
       
     } catch (error) {
       console.error("Daggerheart Statblock Importer | Import failed", error);
@@ -121,5 +543,169 @@ export class ImportDialog extends Dialog {
       importButton.html(originalText);
     }
   }
+  
+  /**
+   * Show what re-importing would change on an existing actor and ask whether to update it,
+   * create a new actor anyway or skip the statblock
+   * @returns {Promise<string|null>} "update", "create", "skip", or null when the dialog was closed
+   */
+  async _confirmMerge(actor, plan) {
+    const formatValue = value => value === undefined
+      ? "—"
+      : this._escape(typeof value === "object" ? JSON.stringify(value) : value);
+    
+    const rows = plan.changes.map(change => `
+      <tr>
+        <td>${this._escape(change.field)}</td>
+        <td>${formatValue(change.from)}</td>
+        <td>${formatValue(change.to)}</td>
+      </tr>`).join("");
+    
+    const itemGroups = [
+      ["added", plan.items.create.map(item => item.name)],
+      ["changed", plan.items.update.map(item => item.name)],
+      ["removed", plan.items.delete.map(item => item.name)]
+    ].filter(([, names]) => names.length)
+      .map(([key, names]) => `<li>${game.i18n.format(`daggerheart-statblock-importer.merge.${key}`, {
+        names: this._escape(names.join(", "))
+      })}</li>`).join("");
+    
+    const hasChanges = rows || itemGroups;
+    const content = `
+      <div class="daggerheart-merge-diff">
+        <p>${game.i18n.format("daggerheart-statblock-importer.merge.intro", { name: this._escape(actor.name) })}</p>
+        ${rows ? `
+          <table>
+            <thead>
+              <tr>
+                <th>${game.i18n.localize("daggerheart-statblock-importer.merge.field")}</th>
+                <th>${game.i18n.localize("daggerheart-statblock-importer.merge.current")}</th>
+                <th>${game.i18n.localize("daggerheart-statblock-importer.merge.imported")}</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>` : ""}
+        ${itemGroups ? `<ul>${itemGroups}</ul>` : ""}
+        ${hasChanges ? "" : `<p>${game.i18n.localize("daggerheart-statblock-importer.merge.noChanges")}</p>`}
+        <p class="merge-preserved">${game.i18n.localize("daggerheart-statblock-importer.merge.preserved")}</p>
+      </div>`;
+    
+    return Dialog.wait({
+      title: game.i18n.format("daggerheart-statblock-importer.merge.title", { name: actor.name }),
+      content,
+      buttons: {
+        update: {
+          icon: "fas fa-sync",
+          label: game.i18n.localize("daggerheart-statblock-importer.merge.update")
+        },
+        create: {
+          icon: "fas fa-plus",
+          label: game.i18n.localize("daggerheart-statblock-importer.merge.create")
+        },
+        skip: {
+          icon: "fas fa-times",
+          label: game.i18n.localize("daggerheart-statblock-importer.merge.skip")
+        }
+      },
+      default: "update",
+      close: () => null
+    }, { classes: ["daggerheart-statblock-importer", "dialog"], width: 560, resizable: true });
+  }
+  
+  /**
+   * Report the outcome of a single-statblock import and open the new actor
+   */
+  _notifySingleResult(result) {
+    if (result.error) {
+      ui.notifications.error(
+        game.i18n.format("daggerheart-statblock-importer.notifications.error", {
+          error: result.error.message
+        })
+      );
+      return;
+    }
+    
+    // Success notification
+    if (result.encounter) {
+      ui.notifications.info(
+        game.i18n.format("daggerheart-statblock-importer.notifications.encounterSuccess", {
+          name: result.name,
+          count: result.encounter.composition.length
+        })
+      );
+    } else {
+      const key = result.updated ? "updated" : "success";
+      ui.notifications.info(
+        game.i18n.format(`daggerheart-statblock-importer.notifications.${key}`, {
+          name: result.name
+        })
+      );
+    }
+    
+    for (const warning of result.warnings) {
+      ui.notifications.warn(
+        game.i18n.format("daggerheart-statblock-importer.notifications.warning", {
+          name: result.name,
+          message: this._formatWarning(warning)
+        })
+      );
+    }
+    
+    // Open the created actor sheet
+    result.actor?.sheet.render(true);
+  }
+  
+  /**
+   * Show a per-statblock success/failure summary for a multi-statblock import
+   */
+  _showSummary(results) {
+    const created = results.filter(result => !result.error).length;
+    const rows = results.map(result => {
+      const icon = result.error ? "fa-times-circle failure" : "fa-check-circle success";
+      const details = result.error
+        ? this._escape(result.error.message)
+        : result.warnings.map(warning => this._escape(this._formatWarning(warning))).join("<br>");
+      return `
+        <li class="import-result">
+          <i class="fas ${icon}"></i>
+          <strong>${this._escape(result.name)}</strong>
+          ${details ? `<div class="import-details">${details}</div>` : ""}
+        </li>`;
+    }).join("");
+    
+    ui.notifications.info(
+      game.i18n.format("daggerheart-statblock-importer.notifications.summary", {
+        created,
+        total: results.length
+      })
+    );
+    
+    new Dialog({
+      title: game.i18n.localize("daggerheart-statblock-importer.dialog.summaryTitle"),
+      content: `<ul class="daggerheart-import-summary">${rows}</ul>`,
+      buttons: {
+        close: {
+          icon: "fas fa-check",
+          label: game.i18n.localize("daggerheart-statblock-importer.button.close")
+        }
+      },
+      default: "close"
+    }, { classes: ["daggerheart-statblock-importer", "dialog"] }).render(true);
+  }
+  
+  /**
+   * Short label for a statblock that could not be parsed (its first line)
+   */
+  _getStatblockLabel(text) {
+    // JSON creations are labelled by their name rather than their opening brace
+    if (text.trim().startsWith("{")) {
+      try {
+        const name = JSON.parse(text).name;
+        if (name) return String(name);
+      } catch (error) {
+        // Not valid JSON, fall back to the first line
+      }
+    }
+    return text.split("\n")[0].trim() || game.i18n.localize("daggerheart-statblock-importer.dialog.unnamed");
+  }
 }
-
@@ -1,6 +1,10 @@
 import { StatblockParser } from './parser.js';
 import { DaggerheartActorCreator } from './actor-creator.js';
 import { ImportDialog } from './import-dialog.js';
+import { EncounterSpawner } from './encounter-spawner.js';
+import { MinionTracker } from './minion-tracker.js';
+import { StatblockExporter } from './statblock-exporter.js';
+import { FormatRegistry, formatRegistry } from './format-registry.js';
 
 /**
  * Main module initialization
@@ -17,6 +21,60 @@ Hooks.once("init", () => {
     type: Boolean,
     default: false
   });
+  
+  game.settings.register("daggerheart-statblock-importer", "defaultFolder", {
+    name: "daggerheart-statblock-importer.settings.defaultFolder.name",
+    hint: "daggerheart-statblock-importer.settings.defaultFolder.hint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: ""
+  });
+  
+  game.settings.register("daggerheart-statblock-importer", "autoSubfolders", {
+    name: "daggerheart-statblock-importer.settings.autoSubfolders.name",
+    hint: "daggerheart-statblock-importer.settings.autoSubfolders.hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+  
+  game.settings.register("daggerheart-statblock-importer", "artDirectory", {
+    name: "daggerheart-statblock-importer.settings.artDirectory.name",
+    hint: "daggerheart-statblock-importer.settings.artDirectory.hint",
+    scope: "world",
+    config: true,
+    type: String,
+    filePicker: "folder",
+    default: ""
+  });
+  
+  game.settings.register("daggerheart-statblock-importer", "artRules", {
+    name: "daggerheart-statblock-importer.settings.artRules.name",
+    hint: "daggerheart-statblock-importer.settings.artRules.hint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "[]"
+  });
+  
+  game.settings.register("daggerheart-statblock-importer", "actionRules", {
+    name: "daggerheart-statblock-importer.settings.actionRules.name",
+    hint: "daggerheart-statblock-importer.settings.actionRules.hint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "[]"
+  });
+  
+  // Public API: other modules can register their own statblock formats
+  game.modules.get("daggerheart-statblock-importer").api = {
+    formats: formatRegistry,
+    registerFormat: (adapter) => formatRegistry.register(adapter),
+    exportActor: (actor) => new StatblockExporter().exportActor(actor)
+  };
+  Hooks.callAll("daggerheartStatblockImporter.registerFormats", formatRegistry);
 });
 
 /**
@@ -44,6 +102,175 @@ Hooks.on('renderActorDirectory', (app, html, data) => {
   }
 });
 
+/**
+ * Open the import dialog pre-filled with the statblock an actor was imported from
+ */
+function openReimportDialog(actor) {
+  const source = actor.getFlag('daggerheart-statblock-importer', 'source');
+  const target = actor.pack ? `pack:${actor.pack}` : (actor.folder ? `folder:${actor.folder.id}` : '');
+  new ImportDialog({ source, target }).render(true);
+}
+
+/**
+ * Whether an actor sheet should offer the Re-import button
+ */
+function canReimport(actor) {
+  return game.user.isGM && !!actor?.getFlag('daggerheart-statblock-importer', 'source')?.text;
+}
+
+/**
+ * Whether an actor sheet should offer the Export Statblock button
+ */
+function canExport(actor) {
+  return game.user.isGM && ['adversary', 'environment'].includes(actor?.type);
+}
+
+/**
+ * Show an actor's exported statblock text, with a warning when re-importing it would change the actor
+ */
+async function showExportDialog(actor) {
+  const { text, changes, items } = await new StatblockExporter().verifyRoundTrip(actor);
+  const itemChanges = [...items.create, ...items.update, ...items.delete].map(item => item.name);
+  const lossy = changes.map(change => change.field).concat(itemChanges);
+  
+  new Dialog({
+    title: game.i18n.format('daggerheart-statblock-importer.export.title', { name: actor.name }),
+    content: `
+      <div class="daggerheart-statblock-export">
+        ${lossy.length ? `<p class="export-lossy">${game.i18n.format('daggerheart-statblock-importer.export.lossy', {
+          fields: Handlebars.escapeExpression(lossy.join(', '))
+        })}</p>` : ''}
+        <textarea class="statblock-export" readonly rows="20">${Handlebars.escapeExpression(text)}</textarea>
+      </div>`,
+    buttons: {
+      copy: {
+        icon: 'fas fa-copy',
+        label: game.i18n.localize('daggerheart-statblock-importer.export.copy'),
+        callback: async () => {
+          await game.clipboard.copyPlainText(text);
+          ui.notifications.info(game.i18n.localize('daggerheart-statblock-importer.export.copied'));
+        }
+      },
+      close: {
+        icon: 'fas fa-times',
+        label: game.i18n.localize('daggerheart-statblock-importer.button.close')
+      }
+    },
+    default: 'copy'
+  }, { classes: ['daggerheart-statblock-importer', 'dialog'], width: 600, resizable: true }).render(true);
+}
+
+// Application v1 actor sheets
+Hooks.on('getActorSheetHeaderButtons', (sheet, buttons) => {
+  if (game.system.id !== 'daggerheart') return;
+  
+  if (canExport(sheet.actor)) {
+    buttons.unshift({
+      label: 'daggerheart-statblock-importer.button.export',
+      class: 'daggerheart-export',
+      icon: 'fas fa-file-export',
+      onclick: () => showExportDialog(sheet.actor)
+    });
+  }
+  
+  if (canReimport(sheet.actor)) {
+    buttons.unshift({
+      label: 'daggerheart-statblock-importer.button.reimport',
+      class: 'daggerheart-reimport',
+      icon: 'fas fa-file-import',
+      onclick: () => openReimportDialog(sheet.actor)
+    });
+  }
+});
+
+// Application v2 actor sheets (the Daggerheart system sheets)
+Hooks.on('getHeaderControlsActorSheetV2', (sheet, controls) => {
+  if (game.system.id !== 'daggerheart') return;
+  
+  if (canReimport(sheet.actor)) {
+    controls.push({
+      label: 'daggerheart-statblock-importer.button.reimport',
+      icon: 'fas fa-file-import',
+      onClick: () => openReimportDialog(sheet.actor)
+    });
+  }
+  
+  if (canExport(sheet.actor)) {
+    controls.push({
+      label: 'daggerheart-statblock-importer.button.export',
+      icon: 'fas fa-file-export',
+      onClick: () => showExportDialog(sheet.actor)
+    });
+  }
+});
+
+/**
+ * Add "Spawn Encounter" to the context menu of imported encounter folders
+ */
+function addEncounterFolderOptions(options) {
+  options.push({
+    name: 'daggerheart-statblock-importer.contextMenu.spawnEncounter',
+    icon: '<i class="fas fa-users"></i>',
+    condition: (target) => game.user.isGM && EncounterSpawner.isEncounterFolder(getContextFolder(target)),
+    callback: async (target) => {
+      try {
+        const tokens = await new EncounterSpawner().spawn(getContextFolder(target));
+        ui.notifications.info(
+          game.i18n.format('daggerheart-statblock-importer.notifications.encounterSpawned', { count: tokens.length })
+        );
+      } catch (error) {
+        console.error('Daggerheart Statblock Importer | Encounter spawn failed', error);
+        ui.notifications.error(error.message);
+      }
+    }
+  });
+}
+
+/**
+ * Add "Import Statblock Here" to the context menu of Actor folders
+ */
+function addImportFolderOptions(options) {
+  options.push({
+    name: 'daggerheart-statblock-importer.contextMenu.importHere',
+    icon: '<i class="fas fa-file-import"></i>',
+    condition: (target) => game.user.isGM && !!getContextFolder(target),
+    callback: (target) => {
+      new ImportDialog({ target: `folder:${getContextFolder(target).id}` }).render(true);
+    }
+  });
+}
+
+/**
+ * Resolve the folder a directory context menu was opened on (jQuery in v12, HTMLElement in v13)
+ */
+function getContextFolder(target) {
+  const element = target instanceof HTMLElement ? target : target[0];
+  const folderId = element?.closest('[data-folder-id]')?.dataset.folderId;
+  return game.folders.get(folderId);
+}
+
+// Foundry v12
+Hooks.on('getActorDirectoryFolderContext', (html, options) => {
+  if (game.system.id !== 'daggerheart') return;
+  addImportFolderOptions(options);
+  addEncounterFolderOptions(options);
+});
+
+// Foundry v13
+Hooks.on('getFolderContextOptions', (app, options) => {
+  if (game.system.id !== 'daggerheart' || app.documentName !== 'Actor') return;
+  addImportFolderOptions(options);
+  addEncounterFolderOptions(options);
+});
+
+/**
+ * Tell the GM how many additional minions an attack defeats (Minion (X) feature)
+ */
+Hooks.on('daggerheart.preTakeDamage', (actor, damages) => {
+  if (game.system.id !== 'daggerheart' || !MinionTracker.getThreshold(actor)) return;
+  new MinionTracker().onTakeDamage(actor, damages);
+});
+
 /**
  * Debug logging utility
  */
@@ -61,6 +288,11 @@ window.DaggerheartStatblockImporter = {
   // Expose classes for debugging
   StatblockParser,
   DaggerheartActorCreator,
-  ImportDialog
+  ImportDialog,
+  EncounterSpawner,
+  MinionTracker,
+  StatblockExporter,
+  FormatRegistry,
+  formatRegistry
 };
 
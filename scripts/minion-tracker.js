@@ -0,0 +1,75 @@
+/**
+ * Applies the Minion (X) feature of imported minions: for every X damage a minion takes,
+ * the GM is told how many additional minions the attack defeats
+ */
+export class MinionTracker {
+  constructor() {
+    this.debugMode = game?.settings?.get('daggerheart-statblock-importer', 'debugMode') || false;
+  }
+
+  /**
+   * The minion threshold stored on an actor when it was imported
+   * @param {Actor} actor - The damaged actor
+   * @returns {number|null} Damage per additional defeated minion, or null for other actors
+   */
+  static getThreshold(actor) {
+    const threshold = actor?.getFlag('daggerheart-statblock-importer', 'minion')?.threshold;
+    return threshold > 0 ? threshold : null;
+  }
+
+  /**
+   * Number of additional minions defeated by an amount of damage
+   * @param {number} damage - The damage dealt, before thresholds
+   * @param {number} threshold - The Minion (X) value
+   * @returns {number}
+   */
+  static countDefeats(damage, threshold) {
+    return threshold > 0 ? Math.floor(damage / threshold) : 0;
+  }
+
+  /**
+   * Handle damage about to be applied to an actor (the system's preTakeDamage hook)
+   * @param {Actor} actor - The damaged actor
+   * @param {Object} damages - The damage by resource, before thresholds are applied
+   * @returns {Promise<ChatMessage|null>} The message sent to the GM, if any
+   */
+  async onTakeDamage(actor, damages) {
+    const threshold = MinionTracker.getThreshold(actor);
+    if (!threshold) return null;
+
+    const damage = this._getHitPointDamage(damages);
+    const count = MinionTracker.countDefeats(damage, threshold);
+    this._debug('Minion took damage', { actor: actor.name, damage, threshold, count });
+    if (count === 0) return null;
+
+    return ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      whisper: ChatMessage.getWhisperRecipients('GM'),
+      content: `<p>${game.i18n.format('daggerheart-statblock-importer.minion.defeats', {
+        name: Handlebars.escapeExpression(actor.name),
+        damage,
+        count
+      })}</p>`
+    });
+  }
+
+  /**
+   * Total Hit Point damage, whether the system passes it as a value or as damage parts
+   */
+  _getHitPointDamage(damages) {
+    const hitPoints = damages?.hitPoints;
+    if (Number.isFinite(hitPoints)) return hitPoints;
+    if (Number.isFinite(hitPoints?.value)) return hitPoints.value;
+    if (Number.isFinite(hitPoints?.total)) return hitPoints.total;
+    return (hitPoints?.parts || []).reduce((sum, part) => sum + (Number(part.total ?? part.value) || 0), 0);
+  }
+
+  /**
+   * Debug logging helper
+   */
+  _debug(message, data = null) {
+    if (this.debugMode) {
+      console.log(`MinionTracker | ${message}`, data);
+    }
+  }
+}
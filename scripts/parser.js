@@ -1,54 +1,210 @@
 /**
- * Parser for Daggerheart statblocks from freshcutgrass.app
+ * Damage thresholds used when a statblock gives none, keyed by tier.
+ * These follow the adversary-building baselines of the core rulebook and are
+ * only a starting point: every value taken from here is reported as a warning.
+ */
+export const DEFAULT_THRESHOLDS_BY_TIER = {
+  1: { major: 7, severe: 12 },
+  2: { major: 10, severe: 20 },
+  3: { major: 20, severe: 32 },
+  4: { major: 25, severe: 45 }
+};
+
+/**
+ * Adversary and environment types that can follow the tier on a header line
+ */
+const STATBLOCK_TYPES = [
+  "bruiser", "horde", "leader", "minion", "ranged", "skulk", "social", "solo", "standard", "support",
+  "exploration", "traversal", "event"
+];
+
+/**
+ * Types that only exist for environments ("social" is shared with adversaries)
+ */
+export const ENVIRONMENT_ONLY_TYPES = ["exploration", "traversal", "event"];
+
+/**
+ * Header line of a statblock: "ACID BURROWER T1 Solo", or just "T2 Support" / "Tier 2 Support" below a name line
+ */
+const STATBLOCK_HEADER_PATTERN = new RegExp(`^(?:(.+?)\\s+)?T(?:ier\\s*)?(\\d+)\\s+(?:${STATBLOCK_TYPES.join("|")})\\b`, "i");
+
+/**
+ * Tier marker anywhere in a line ("T1", "Tier 1")
+ */
+const TIER_PATTERN = /\bT(?:ier\s*)?\d+\b/i;
+
+/**
+ * Encounter composition line: "3x Jagged Knife Bandit" or "1 × Acid Burrower"
+ */
+const ENCOUNTER_ENTRY_PATTERN = /^(\d+)\s*[x×]\s*(.+)$/i;
+
+/**
+ * Parser for Daggerheart statblocks from freshcutgrass.app.
+ * Format adapters for other text layouts extend it through the constructor options.
  */
 export class StatblockParser {
-  constructor() {
+  /**
+   * @param {Object} [options] - Layout specific parsing, passed by the format adapters
+   * @param {Function[]} [options.statLineParsers] - `(line, result, parser) => boolean`, tried before the
+   *   built-in stat lines; returns true when it read the line
+   * @param {Function[]} [options.featureHeaderParsers] - `(line) => {name, type, description}|null`, tried
+   *   when a line is not a "Feature Name - Type" header
+   * @param {Function[]} [options.looseFeatureHeaderParsers] - Like featureHeaderParsers, for text outside
+   *   any feature; the features they start are reported as ambiguous
+   */
+  constructor(options = {}) {
     this.debugMode = game?.settings?.get("daggerheart-statblock-importer", "debugMode") || false;
+    this.statLineParsers = options.statLineParsers || [];
+    this.featureHeaderParsers = options.featureHeaderParsers || [];
+    this.looseFeatureHeaderParsers = options.looseFeatureHeaderParsers || [];
+  }
+  
+  /**
+   * Parse every statblock found in a text (e.g. a whole freshcutgrass print page)
+   * @param {string} text - The raw text, holding one or more statblocks
+   * @param {Object} [options] - Parsing options
+   * @param {number} [options.lineOffset=0] - Lines before the text, added to reported line numbers
+   * @returns {Array<{text: string, data: Object|null, error: Error|null}>} One entry per statblock
+   */
+  async parseAll(text, options = {}) {
+    if (!text || typeof text !== "string" || !text.trim()) {
+      throw new Error(game.i18n.localize("daggerheart-statblock-importer.notifications.empty"));
+    }
+    
+    // An encounter is imported as a whole, together with its inline statblocks
+    if (this._splitEncounter(text)) {
+      try {
+        return [{ text, data: await this.parse(text, options), error: null }];
+      } catch (error) {
+        return [{ text, data: null, error }];
+      }
+    }
+    
+    const entries = [];
+    for (const statblock of this._splitStatblocksWithLines(text)) {
+      try {
+        const lineOffset = (options.lineOffset || 0) + statblock.startLine;
+        entries.push({ text: statblock.text, data: await this.parse(statblock.text, { lineOffset }), error: null });
+      } catch (error) {
+        this._debug("Failed to parse statblock", { statblock, error });
+        entries.push({ text: statblock.text, data: null, error });
+      }
+    }
+    
+    return entries;
+  }
+  
+  /**
+   * Split a text into the individual statblocks it contains.
+   *
+   * A header line ("NAME T# Type") starts a new statblock when the current one
+   * already has a header and either its HP & STRESS block has been seen, the
+   * header follows a blank line, or the name is written in capitals.
+   * @param {string} text - The raw text
+   * @returns {string[]} The text of each statblock
+   */
+  splitStatblocks(text) {
+    return this._splitStatblocksWithLines(text).map(statblock => statblock.text);
   }
   
   /**
-   * Parse a statblock text into structured data
+   * Split a text into statblocks, keeping the (0-based) line each one starts on
+   * @returns {Array<{text: string, startLine: number}>}
+   */
+  _splitStatblocksWithLines(text) {
+    const lines = text.split("\n").map(line => this._normalizeLine(line));
+    const blocks = [];
+    let current = [];
+    let currentStart = 0;
+    let hasHeader = false;
+    let afterHPStress = false;
+    
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const header = line.match(STATBLOCK_HEADER_PATTERN);
+      
+      if (header) {
+        // For two-line headers the blank line sits above the name line
+        const headerStart = header[1] ? i : i - 1;
+        const blankBefore = headerStart <= 0 || !lines[headerStart - 1];
+        const capitalisedName = header[1] && header[1] === header[1].toUpperCase();
+        
+        if (hasHeader && (afterHPStress || blankBefore || capitalisedName)) {
+          // Two-line headers keep their name line, which sits right above "T# Type"
+          const carried = !header[1] && current.length && current[current.length - 1] ? [current.pop()] : [];
+          blocks.push({ lines: current, start: currentStart });
+          current = carried;
+          currentStart = i - carried.length;
+          afterHPStress = false;
+          this._debug("Found statblock boundary", { line: i, header: line });
+        }
+        hasHeader = true;
+      }
+      
+      if (line.toUpperCase().includes("HP") && line.toUpperCase().includes("STRESS") && line.includes("&")) {
+        afterHPStress = true;
+      }
+      
+      current.push(line);
+    }
+    blocks.push({ lines: current, start: currentStart });
+    
+    return blocks
+      .map(block => ({
+        text: block.lines.join("\n").trim(),
+        startLine: block.start + Math.max(0, block.lines.findIndex(line => line.length > 0))
+      }))
+      .filter(block => block.text.length > 0);
+  }
+  
+  /**
+   * Parse a statblock text into structured data.
+   * Only the first statblock is read; use parseAll for texts holding several.
+   * Encounter texts are parsed into an encounter (see _parseEncounter).
    * @param {string} text - The raw statblock text
+   * @param {Object} [options] - Parsing options
+   * @param {number} [options.lineOffset=0] - Lines before the text, added to reported line numbers
    * @returns {Object} Parsed statblock data
    */
-  async parse(text) {
+  async parse(text, options = {}) {
     if (!text || typeof text !== "string") {
       throw new Error(game.i18n.localize("daggerheart-statblock-importer.notifications.empty"));
     }
     
-    const lines = text.split("\n").map(line => line.trim()).filter(line => line.length > 0);
+    const lineOffset = options.lineOffset || 0;
+    const encounter = this._splitEncounter(text);
+    if (encounter) {
+      return this._parseEncounter(encounter.head, encounter.statblocks, lineOffset + encounter.statblockLine);
+    }
+    
+    // Keep the line number (1-based, in the pasted text) of every non-empty line for diagnostics
+    const [statblock = { text: "", startLine: 0 }] = this._splitStatblocksWithLines(text);
+    const lines = [];
+    const lineNumbers = [];
+    statblock.text.split("\n").forEach((rawLine, index) => {
+      const line = this._normalizeLine(rawLine);
+      if (line.length > 0) {
+        lines.push(line);
+        lineNumbers.push(lineOffset + statblock.startLine + index + 1);
+      }
+    });
     
     if (lines.length === 0) {
       throw new Error(game.i18n.localize("daggerheart-statblock-importer.notifications.empty"));
     }
     
-    const result = {
-      name: "",
-      type: "adversary",
-      tier: 1,
-      subtype: "",
-      description: "",
-      difficulty: 10,
-      attack: 0,
-      attackInfo: null,
-      experience: "",
-      experiences: [], // Array for multi-line experiences
-      motivesAndTactics: "",
-      features: [],
-      hitPoints: { minor: 0, major: 0, severe: 0 },
-      stress: 0,
-      resistances: [],
-      immunities: [],
-      vulnerabilities: []
-    };
+    const result = this.createResult();
     
     let currentSection = "header";
     let currentFeature = null;
     let expectingMotivesContinuation = false;
+    let expectingAdversariesContinuation = false;
+    const hpStressLines = []; // The damage track is often split across several pasted lines
     
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
-      this._debug(`Processing line ${i}: "${line}" (section: ${currentSection})`);
+      const lineNumber = lineNumbers[i];
+      this._debug(`Processing line ${lineNumber}: "${line}" (section: ${currentSection})`);
       
       // Skip empty lines
       if (!line.trim()) continue;
@@ -88,7 +244,7 @@ export class StatblockParser {
       
       // Parse based on current section
       if (currentSection === "header") {
-        if (this._parseNameAndType(line, result)) {
+        if (this._parseNameAndType(line, result, i === 0)) {
           continue;
         } else if (this._parseDescription(line, result)) {
           continue;
@@ -97,6 +253,14 @@ export class StatblockParser {
           if (line.match(/^Motives\s*&\s*Tactics:\s*$/i)) {
             expectingMotivesContinuation = true;
           }
+          if (line.match(/^Potential\s+Adversaries:\s*$/i)) {
+            expectingAdversariesContinuation = true;
+          }
+          continue;
+        } else if (expectingAdversariesContinuation && !line.toUpperCase().includes("FEATURES")) {
+          result.potentialAdversaries = this._parsePotentialAdversaries(line);
+          expectingAdversariesContinuation = false;
+          this._debug("Parsed potential adversaries continuation", { potentialAdversaries: result.potentialAdversaries });
           continue;
         } else if (expectingMotivesContinuation && !line.toUpperCase().includes("FEATURES")) {
           // This line contains the actual motives and tactics content
@@ -105,6 +269,7 @@ export class StatblockParser {
           this._debug("Parsed motives and tactics continuation", { motivesAndTactics: result.motivesAndTactics });
           continue;
         }
+        this._addUnparsedLine(result, lineNumber, line);
       } else if (currentSection === "experience") {
         // Parse experience lines (e.g., "Fallen Lore +2", "Rituals +2", "Boundless Knowledge +4")
         const expMatch = line.match(/^(.+?)\s+\+(\d+)$/);
@@ -145,6 +310,7 @@ export class StatblockParser {
             continue;
           }
         }
+        this._addUnparsedLine(result, lineNumber, line);
       } else if (currentSection === "features") {
         const featureMatch = this._parseFeatureHeader(line);
         if (featureMatch) {
@@ -158,9 +324,14 @@ export class StatblockParser {
             name: featureMatch.value ? `${featureMatch.name} (${featureMatch.value})` : featureMatch.name,
             type: featureMatch.type.toLowerCase(),
             value: featureMatch.value || "",
-            description: ""
+            description: featureMatch.description || "",
+            questions: []
           };
           this._debug("Started new feature", currentFeature);
+        } else if (currentFeature && result.type === "environment" && line.trim().endsWith("?")) {
+          // Environment features end with the GM prompt questions
+          currentFeature.questions.push(...line.trim().split(/(?<=\?)\s+/));
+          this._debug("Added GM prompt question", { name: currentFeature.name, question: line.trim() });
         } else if (currentFeature && !this._isNewSection(line)) {
           // Add to current feature description
           if (currentFeature.description) {
@@ -177,24 +348,36 @@ export class StatblockParser {
           // this might be a continuation of the previous feature or a missed header
           this._debug("Orphaned feature text (no current feature)", { line });
           
-          // Try flexible feature header matching with more patterns
-          const flexibleMatch = this._parseFeatureHeader(line) || this._parseFeatureHeaderFlexible(line);
-          if (flexibleMatch) {
+          // The format may accept looser feature headers here
+          const looseMatch = this._parseLooseFeatureHeader(line);
+          if (looseMatch) {
             currentFeature = {
-              name: flexibleMatch.value ? `${flexibleMatch.name} (${flexibleMatch.value})` : flexibleMatch.name,
-              type: flexibleMatch.type.toLowerCase(),
-              value: flexibleMatch.value || "",
-              description: ""
+              name: looseMatch.value ? `${looseMatch.name} (${looseMatch.value})` : looseMatch.name,
+              type: looseMatch.type,
+              value: looseMatch.value,
+              description: looseMatch.description,
+              questions: []
             };
-            this._debug("Started new feature (flexible)", currentFeature);
+            this._debug("Started new feature (loose header)", currentFeature);
+            this._addWarning(result, lineNumber, game.i18n.format("daggerheart-statblock-importer.warnings.ambiguousFeature", {
+              name: currentFeature.name,
+              type: currentFeature.type
+            }));
           } else {
             // This might be a description line for a feature we missed parsing
             this._debug("Potential missed feature or description line", { line });
+            this._addUnparsedLine(result, lineNumber, line);
           }
+        } else {
+          this._addUnparsedLine(result, lineNumber, line);
         }
       } else if (currentSection === "hp_stress") {
-        // Currently bypassing HP parsing as requested
-        this._debug("Skipping HP/Stress parsing", { line });
+        if (/\b(MINOR|MAJOR|SEVERE|HP|STRESS)\b|\[\s*[xX]?\s*\]|[☐□○◯]|^\d+$/i.test(line)) {
+          hpStressLines.push(line);
+          this._debug("Collected HP/Stress line", { line });
+        } else {
+          this._addUnparsedLine(result, lineNumber, line);
+        }
       }
     }
     
@@ -204,12 +387,183 @@ export class StatblockParser {
       this._debug("Saved final feature", currentFeature);
     }
     
+    if (hpStressLines.length > 0) {
+      this._parseHPStress(hpStressLines.join(" "), result);
+    }
+    
+    this.finalize(result);
+    
+    this._debug("Parsing completed successfully", result);
+    return result;
+  }
+  
+  /**
+   * An empty statblock result, as filled in by parse()
+   * @returns {Object}
+   */
+  createResult() {
+    return {
+      name: "",
+      type: "adversary",
+      tier: 1,
+      subtype: "",
+      description: "",
+      difficulty: 10,
+      attack: 0,
+      attackInfo: null,
+      experience: "",
+      experiences: [], // Array for multi-line experiences
+      motivesAndTactics: "",
+      features: [],
+      impulses: "",
+      potentialAdversaries: [], // Array of { label, names } groups
+      hitPoints: 0,
+      stress: 0,
+      thresholds: { major: null, severe: null },
+      resistances: [],
+      immunities: [],
+      vulnerabilities: [],
+      damageReduction: { physical: 0, magical: 0 },
+      horde: null, // { hpPerMember, damage: { dice, bonus, formula } }
+      minion: null, // { threshold }
+      warnings: [], // Array of { line, message }
+      unparsed: [] // Array of { line, text } for lines the parser did not understand
+    };
+  }
+  
+  /**
+   * Derive the values that follow from the rest of a statblock (horde and minion mechanics,
+   * default thresholds, resistances), report missing HP and Stress, and validate the result.
+   * Format adapters that build a result without parsing text call this too.
+   * @param {Object} result - A statblock result from createResult, filled in
+   * @returns {Object} The same result
+   */
+  finalize(result) {
+    this._parseHordeAndMinion(result);
+    this._parseCountdowns(result);
+    this._applyDefaultThresholds(result);
+    this._parseDefenses(result);
+    
+    if (result.type === "adversary" && !result.hitPoints && !result.minion && result.subtype !== "minion") {
+      this._addWarning(result, null, game.i18n.localize("daggerheart-statblock-importer.warnings.missingHP"));
+    }
+    if (result.type === "adversary" && !result.stress) {
+      this._addWarning(result, null, game.i18n.localize("daggerheart-statblock-importer.warnings.inferredStress"));
+    }
+    
     // Validate required fields
     if (!result.name) {
       throw new Error(game.i18n.localize("daggerheart-statblock-importer.errors.noName"));
     }
     
-    this._debug("Parsing completed successfully", result);
+    return result;
+  }
+  
+  /**
+   * Read a countdown from a feature name or description: "Countdown (4)", "Countdown (Loop 6)",
+   * "Countdown (Dynamic 1d6)" or "Activate a Loop Countdown (8)". The start value may be a roll.
+   * @param {Object} feature - A parsed feature
+   * @returns {{start: string, loop: boolean, dynamic: boolean}|null} The countdown, or null when the feature has none
+   */
+  parseCountdown(feature) {
+    const countdownPattern = /(?:\b(loop|looping|dynamic)\s+)?countdown\s*\(\s*(?:(loop|looping|dynamic)\s+)?(\d*d\d+(?:\s*[+-]\s*\d+)?|\d+)\s*\)/i;
+    const match = (feature.name || "").match(countdownPattern) || (feature.description || "").match(countdownPattern);
+    if (!match) return null;
+    
+    const variant = (match[1] || match[2] || "").toLowerCase();
+    return {
+      start: match[3].replace(/\s+/g, ""),
+      loop: variant.startsWith("loop"),
+      dynamic: variant === "dynamic"
+    };
+  }
+  
+  /**
+   * Trim a line and strip the Markdown emphasis and heading markers that
+   * statblocks copied from the SRD carry ("***Tier 1 Solo***", "## ACID BURROWER")
+   */
+  _normalizeLine(line) {
+    return line.trim().replace(/^#+\s*/, "").replace(/\*+/g, "").trim();
+  }
+  
+  /**
+   * Split an encounter text into its head (title and composition list) and the
+   * text of its inline statblocks. Returns null when the text is not an encounter,
+   * i.e. when no composition line comes before the first statblock header.
+   */
+  _splitEncounter(text) {
+    const lines = text.split("\n").map(line => this._normalizeLine(line));
+    let headerIndex = lines.findIndex(line => STATBLOCK_HEADER_PATTERN.test(line));
+    if (headerIndex === -1) {
+      headerIndex = lines.length;
+    } else if (!lines[headerIndex].match(STATBLOCK_HEADER_PATTERN)[1] && headerIndex > 0) {
+      // Two-line header: the name line belongs to the statblock
+      headerIndex--;
+    }
+    
+    const head = lines.slice(0, headerIndex).filter(line => line.length > 0);
+    if (!head.some(line => ENCOUNTER_ENTRY_PATTERN.test(line))) {
+      return null;
+    }
+    
+    return {
+      head,
+      statblocks: lines.slice(headerIndex).join("\n"),
+      statblockLine: headerIndex
+    };
+  }
+  
+  /**
+   * Parse an encounter: a title line ("Bandit Ambush", "Encounter: Bandit Ambush"
+   * or "Bandit Ambush - Encounter"), an optional description, a composition list
+   * and optionally the full statblocks of its adversaries.
+   */
+  async _parseEncounter(head, statblockText, lineOffset = 0) {
+    const result = {
+      name: "",
+      type: "encounter",
+      description: "",
+      composition: [],
+      statblocks: [],
+      warnings: []
+    };
+    
+    for (const line of head) {
+      const entryMatch = line.match(ENCOUNTER_ENTRY_PATTERN);
+      if (entryMatch) {
+        result.composition.push({
+          count: parseInt(entryMatch[1]),
+          name: entryMatch[2].trim()
+        });
+        this._debug("Parsed encounter entry", result.composition[result.composition.length - 1]);
+      } else if (!result.name) {
+        result.name = line.replace(/^Encounter:\s*/i, "").replace(/\s*-\s*Encounter$/i, "").trim();
+        this._debug("Parsed encounter name", { name: result.name });
+      } else {
+        result.description += (result.description ? " " : "") + line;
+      }
+    }
+    
+    if (statblockText.trim()) {
+      for (const entry of await this.parseAll(statblockText, { lineOffset })) {
+        if (entry.data) {
+          // Kept so the actors created from inline statblocks can be re-imported later
+          entry.data.sourceText = entry.text;
+          result.statblocks.push(entry.data);
+          for (const warning of entry.data.warnings) {
+            result.warnings.push({ ...warning, message: `${entry.data.name}: ${warning.message}` });
+          }
+        } else {
+          result.warnings.push({ line: null, message: entry.error.message });
+        }
+      }
+    }
+    
+    if (!result.name) {
+      throw new Error(game.i18n.localize("daggerheart-statblock-importer.errors.noName"));
+    }
+    
+    this._debug("Parsed encounter", result);
     return result;
   }
   
@@ -223,46 +577,59 @@ export class StatblockParser {
   /**
    * Parse name and type from the first two lines
    */
-  _parseNameAndType(line, result) {
+  _parseNameAndType(line, result, isFirstLine = false) {
     // First check if this line is just the name (first line)
-    if (!result.name && !line.includes("T") && !line.includes(":")) {
+    if (isFirstLine && !result.name && !TIER_PATTERN.test(line) && !line.includes(":")) {
       result.name = line.trim();
       this._debug("Parsed name", { name: result.name });
       return true;
     }
     
-    // Parse tier and type (e.g., "T2 Support", "T1 Traversal - Environment")
-    const tierTypeMatch = line.match(/^T(\d+)\s+(.+?)(?:\s*-\s*Environment)?$/i);
+    // Parse tier and type (e.g., "T2 Support", "T1 Traversal - Environment", "Tier 1 Solo")
+    const tierTypeMatch = line.match(/^T(?:ier\s*)?(\d+)\s+(.+)$/i);
     if (tierTypeMatch) {
       result.tier = parseInt(tierTypeMatch[1]);
-      const typeText = tierTypeMatch[2].trim().toLowerCase();
-      
-      // Check if this is an environment card
-      if (line.toLowerCase().includes('environment')) {
-        result.type = 'environment';
-        result.subtype = typeText; // traversal, social, exploration, event
-      } else {
-        result.type = 'adversary';
-        result.subtype = typeText; // solo, support, etc.
-      }
-      
+      this._parseTypeText(tierTypeMatch[2], result);
       this._debug("Parsed tier and type", { tier: result.tier, type: result.type, subtype: result.subtype });
       return true;
     }
     
     // Legacy pattern: "CREATURE NAME T# Type" (e.g., "ACID BURROWER T1 Solo")
-    const nameTypeMatch = line.match(/^(.+?)\s+(T(\d+)\s+(.+))$/i);
+    const nameTypeMatch = line.match(/^(.+?)\s+(T(?:ier\s*)?(\d+)\s+(.+))$/i);
     if (nameTypeMatch) {
       result.name = nameTypeMatch[1].trim();
       result.tier = parseInt(nameTypeMatch[3]) || 1;
-      result.subtype = nameTypeMatch[4].trim().toLowerCase();
-      this._debug("Parsed name and type (legacy)", { name: result.name, tier: result.tier, subtype: result.subtype });
+      this._parseTypeText(nameTypeMatch[4], result);
+      this._debug("Parsed name and type (legacy)", { name: result.name, tier: result.tier, type: result.type, subtype: result.subtype });
       return true;
     }
     
     return false;
   }
   
+  /**
+   * Set the actor type and subtype from the text after the tier
+   * (e.g., "Solo", "Event - Environment", "Exploration")
+   */
+  _parseTypeText(typeText, result) {
+    let subtype = typeText.replace(/\s*-\s*Environment\s*$/i, "").trim().toLowerCase();
+    
+    // Hordes carry their size in the header: "Horde (5/HP)"
+    const hordeMatch = subtype.match(/^horde\s*\((\d+)\s*\/\s*hp\)$/);
+    if (hordeMatch) {
+      subtype = "horde";
+      result.horde = { ...result.horde, hpPerMember: parseInt(hordeMatch[1]) };
+    }
+    
+    if (/environment/i.test(typeText) || ENVIRONMENT_ONLY_TYPES.includes(subtype)) {
+      result.type = "environment";
+      result.subtype = subtype; // traversal, social, exploration, event
+    } else {
+      result.type = "adversary";
+      result.subtype = subtype; // solo, support, etc.
+    }
+  }
+  
   _parseDescription(line, result) {
     // Only parse as description if we have a name but no description yet,
     // and this line doesn't contain stats or feature headers
@@ -277,10 +644,24 @@ export class StatblockParser {
     return false;
   }
   
+  /**
+   * Read one stat line (or part of one) into a result, with the format's own stat lines first
+   * @param {string} line - A normalized statblock line
+   * @param {Object} result - The statblock result being filled in
+   * @returns {boolean} Whether the line was read
+   */
+  parseStatLine(line, result) {
+    return this._parseBasicStats(line, result);
+  }
+  
   /**
    * Parse basic stats (Difficulty, Attack, Experience, Motives & Tactics)
    */
   _parseBasicStats(line, result) {
+    for (const parseStatLine of this.statLineParsers) {
+      if (parseStatLine(line, result, this)) return true;
+    }
+    
     // Difficulty
     const difficultyMatch = line.match(/^Difficulty:\s*(\d+)/i);
     if (difficultyMatch) {
@@ -290,13 +671,62 @@ export class StatblockParser {
     }
     
     // Attack
-    const attackMatch = line.match(/^Attack:\s*([+-]?\d+)/i);
+    const attackMatch = line.match(/^(?:Attack|ATK):\s*([+-]?\d+)/i);
     if (attackMatch) {
       result.attack = parseInt(attackMatch[1]);
       this._debug("Parsed attack", { attack: result.attack });
       return true;
     }
     
+    // Thresholds (e.g., "Thresholds: 8/15", "Thresholds: None" for minions)
+    const thresholdsMatch = line.match(/^Thresholds:\s*(?:(\d+)\s*\/\s*(\d+)|(None|-|—))\s*$/i);
+    if (thresholdsMatch) {
+      if (thresholdsMatch[3]) {
+        // No thresholds: any damage counts as Severe
+        result.thresholds = { major: 0, severe: 0 };
+      } else {
+        result.thresholds = {
+          major: parseInt(thresholdsMatch[1]),
+          severe: parseInt(thresholdsMatch[2])
+        };
+      }
+      this._debug("Parsed thresholds", result.thresholds);
+      return true;
+    }
+    
+    // HP and Stress given as numbers (SRD layout)
+    const hpMatch = line.match(/^HP:\s*(\d+)\s*$/i);
+    if (hpMatch) {
+      result.hitPoints = parseInt(hpMatch[1]);
+      this._debug("Parsed HP", { hitPoints: result.hitPoints });
+      return true;
+    }
+    
+    const stressMatch = line.match(/^Stress:\s*(\d+)\s*$/i);
+    if (stressMatch) {
+      result.stress = parseInt(stressMatch[1]);
+      this._debug("Parsed stress", { stress: result.stress });
+      return true;
+    }
+    
+    // Impulses (environments)
+    const impulsesMatch = line.match(/^Impulses:\s*(.+)/i);
+    if (impulsesMatch) {
+      result.impulses = impulsesMatch[1].trim();
+      this._debug("Parsed impulses", { impulses: result.impulses });
+      return true;
+    }
+    
+    // Potential Adversaries (environments) - content may follow on the next line
+    const adversariesMatch = line.match(/^Potential\s+Adversaries:\s*(.*)/i);
+    if (adversariesMatch) {
+      if (adversariesMatch[1].trim()) {
+        result.potentialAdversaries = this._parsePotentialAdversaries(adversariesMatch[1]);
+        this._debug("Parsed potential adversaries", { potentialAdversaries: result.potentialAdversaries });
+      }
+      return true;
+    }
+    
     // Attack line (e.g., "Claws: Very Close | 1d12+2 phy")
     const attackLineMatch = line.match(/^([^:]+):\s*([^|]+)\|\s*(.+)/i);
     if (attackLineMatch) {
@@ -305,7 +735,7 @@ export class StatblockParser {
       const damageInfo = attackLineMatch[3].trim();
       
       // Parse damage (e.g., "1d12+2 phy")
-      const damageMatch = damageInfo.match(/(\d+d\d+)(?:\+(\d+))?\s+(phy|mag|physical|magical)/i);
+      const damageMatch = damageInfo.match(/(\d+d\d+)([+-]\d+)?\s+(phy|mag|physical|magical)/i);
       if (damageMatch) {
         const dice = damageMatch[1];
         const bonus = damageMatch[2] ? parseInt(damageMatch[2]) : 0;
@@ -328,7 +758,15 @@ export class StatblockParser {
     const experienceMatch = line.match(/^Experience:\s*(.+)/i);
     if (experienceMatch) {
       result.experience = experienceMatch[1].trim();
-      this._debug("Parsed experience (inline)", { experience: result.experience });
+      
+      // Inline experiences are comma separated (e.g., "Tremor Sense +2, Keen Senses +3")
+      for (const entry of result.experience.split(",")) {
+        const entryMatch = entry.trim().match(/^(.+?)\s+\+(\d+)$/);
+        if (entryMatch) {
+          result.experiences.push({ name: entryMatch[1].trim(), value: parseInt(entryMatch[2]) });
+        }
+      }
+      this._debug("Parsed experience (inline)", { experience: result.experience, experiences: result.experiences });
       return true;
     }
     
@@ -354,74 +792,84 @@ export class StatblockParser {
   }
   
   /**
-   * Parse feature header line using the pattern: "Feature Name - Action/Passive/Reaction"
+   * Parse a potential adversaries list into groups. Grouped entries such as
+   * "Beasts (Bear, Dire Wolf)" keep their label; loose names share one
+   * unlabelled group.
    */
-  _parseFeatureHeader(line) {
-    // Pattern: "Feature Name - Action/Passive/Reaction"
-    const match = line.match(/^(.+?)\s*-\s*(Action|Passive|Reaction)\s*$/i);
-    if (match) {
-      const name = match[1].trim();
-      const type = match[2].toLowerCase();
+  _parsePotentialAdversaries(text) {
+    const groups = [];
+    const ungrouped = { label: "", names: [] };
+    
+    // Split on commas outside of parentheses
+    const items = text.match(/[^,(]+(?:\([^)]*\))?/g) || [];
+    for (const item of items) {
+      const trimmed = item.trim().replace(/\.$/, "");
+      if (!trimmed) continue;
       
-      // Check for value in parentheses (e.g., "Relentless (3)")
-      const valueMatch = name.match(/^(.+?)\s*\((\d+)\)$/);
-      if (valueMatch) {
-        return {
-          name: valueMatch[1].trim(),
-          type: type,
-          value: valueMatch[2]
-        };
+      const groupMatch = trimmed.match(/^(.+?)\s*\((.+)\)$/);
+      if (groupMatch) {
+        groups.push({
+          label: groupMatch[1].trim(),
+          names: groupMatch[2].split(",").map(name => name.trim()).filter(name => name.length > 0)
+        });
+      } else {
+        ungrouped.names.push(trimmed);
       }
-      
-      return {
-        name: name,
-        type: type,
-        value: ""
-      };
     }
     
-    return null;
+    if (ungrouped.names.length > 0) {
+      groups.push(ungrouped);
+    }
+    return groups;
   }
   
   /**
-   * More flexible feature header parsing for edge cases
+   * Parse feature header line using the pattern: "Feature Name - Action/Passive/Reaction",
+   * then the format's own header patterns
    */
-  _parseFeatureHeaderFlexible(line) {
-    // Try different patterns that might be used
-    
-    // Pattern with colon: "Feature Name: Action"
-    let match = line.match(/^(.+?)\s*:\s*(Action|Passive|Reaction)\s*$/i);
-    if (match) {
-      return {
-        name: match[1].trim(),
-        type: match[2].toLowerCase(),
-        value: ""
-      };
-    }
-    
-    // Pattern without separator: "Feature Name Action" (risky, only use if line ends with action type)
-    match = line.match(/^(.+?)\s+(Action|Passive|Reaction)\s*$/i);
-    if (match && match[1].trim().length > 3) { // Ensure there's actually a feature name
-      return {
-        name: match[1].trim(),
-        type: match[2].toLowerCase(),
-        value: ""
-      };
-    }
-    
-    // Pattern with parentheses value and colon: "Feature Name (3): Action"
-    match = line.match(/^(.+?)\s*\((\d+)\)\s*:\s*(Action|Passive|Reaction)\s*$/i);
-    if (match) {
-      return {
-        name: match[1].trim(),
-        type: match[3].toLowerCase(),
-        value: match[2]
-      };
+  _parseFeatureHeader(line) {
+    const match = line.match(/^(.+?)\s*-\s*(Action|Passive|Reaction)\s*$/i);
+    const header = match
+      ? { name: match[1], type: match[2], description: "" }
+      : this._matchFeatureHeader(this.featureHeaderParsers, line);
+    return header ? this._normalizeFeatureHeader(header) : null;
+  }
+  
+  /**
+   * Parse a line outside any feature with the format's loose header patterns, if it has any
+   */
+  _parseLooseFeatureHeader(line) {
+    const header = this._matchFeatureHeader(this.looseFeatureHeaderParsers, line);
+    return header ? this._normalizeFeatureHeader(header) : null;
+  }
+  
+  /**
+   * The header read by the first parser that matches the line
+   */
+  _matchFeatureHeader(parsers, line) {
+    for (const parseHeader of parsers) {
+      const header = parseHeader(line);
+      if (header) return header;
     }
-    
     return null;
   }
   
+  /**
+   * Trim a feature header and split a value in parentheses off its name,
+   * e.g. "Relentless (3)" or a damage roll such as "Horde (2d4+2)"
+   */
+  _normalizeFeatureHeader(header) {
+    const name = header.name.trim();
+    const valueMatch = name.match(/^(.+?)\s*\((\d+|\d*d\d+(?:\s*[+-]\s*\d+)?)\)$/);
+    
+    return {
+      name: valueMatch ? valueMatch[1].trim() : name,
+      type: header.type.toLowerCase(),
+      value: valueMatch ? valueMatch[2] : "",
+      description: (header.description || "").trim()
+    };
+  }
+  
   /**
    * Check if a line indicates the start of a new section
    */
@@ -439,49 +887,203 @@ export class StatblockParser {
     }
     
     // Other section headers
-    if (line.match(/^(Difficulty|Attack|Experience|Motives\s*&\s*Tactics):/i)) {
+    if (line.match(/^(Difficulty|Thresholds|Attack|Experience|Impulses|Potential\s+Adversaries|Motives\s*&\s*Tactics):/i)) {
       return true;
     }
     
-    // Check if this looks like a feature header (which would indicate we're still in features section)
-    if (this._parseFeatureHeader(line) || this._parseFeatureHeaderFlexible(line)) {
-      return false; // This is still within the features section
-    }
-    
     return false;
   }
 
   /**
-   * Parse HP and Stress values (currently bypassed)
+   * Parse the HP & STRESS block (all of its lines joined into one string).
+   *
+   * The track is read token by token: "MINOR", "MAJOR" and "SEVERE" open a
+   * damage segment, a bare "HP" opens a dedicated HP track and "STRESS" opens
+   * the stress track. Boxes ("[ ]", "☐", "○") are counted for the open track,
+   * and a number closing a damage segment is the threshold of the next one
+   * ("MINOR [ ] 8 MAJOR [ ] 15 SEVERE" gives Major 8 and Severe 15).
    */
-  _parseHPStress(line, result) {
-    // Look for HP values
-    const minorHPMatch = line.match(/MINOR\s+HP[^\d]*(\d+)/i);
-    if (minorHPMatch) {
-      result.hitPoints.minor = parseInt(minorHPMatch[1]);
-      this._debug("Parsed minor HP", { minor: result.hitPoints.minor });
-    }
+  _parseHPStress(text, result) {
+    const tokenPattern = /\b(MINOR|MAJOR|SEVERE)\b(?:\s+HP\b)?|\bHP\b|\bSTRESS\b|\[\s*[xX]?\s*\]|[☐□○◯]|\d+/gi;
+    const boxes = { minor: 0, major: 0, severe: 0, hp: 0, stress: 0 };
+    const numbers = { hp: null, stress: null };
+    let track = null;
+    let match;
     
-    const majorHPMatch = line.match(/MAJOR\s+HP[^\d]*(\d+)/i);
-    if (majorHPMatch) {
-      result.hitPoints.major = parseInt(majorHPMatch[1]);
-      this._debug("Parsed major HP", { major: result.hitPoints.major });
+    while ((match = tokenPattern.exec(text)) !== null) {
+      const token = match[0].toUpperCase();
+      
+      if (match[1]) {
+        track = match[1].toLowerCase();
+      } else if (token === "HP" || token === "STRESS") {
+        track = token.toLowerCase();
+      } else if (/^\d+$/.test(token)) {
+        const value = parseInt(token);
+        if (track === "minor") {
+          result.thresholds.major = value;
+        } else if (track === "major") {
+          result.thresholds.severe = value;
+        } else if (track === "hp" || track === "stress") {
+          numbers[track] = value;
+        }
+      } else if (track) {
+        boxes[track]++;
+      }
     }
     
-    const severeHPMatch = line.match(/SEVERE\s+HP[^\d]*(\d+)/i);
-    if (severeHPMatch) {
-      result.hitPoints.severe = parseInt(severeHPMatch[1]);
-      this._debug("Parsed severe HP", { severe: result.hitPoints.severe });
+    // Without a dedicated HP track, the HP boxes are the ones printed in the Minor segment,
+    // which runs up to the Major threshold
+    result.hitPoints = boxes.hp || numbers.hp || boxes.minor || result.hitPoints;
+    result.stress = boxes.stress || numbers.stress || result.stress;
+    
+    this._debug("Parsed HP and Stress", {
+      hitPoints: result.hitPoints,
+      stress: result.stress,
+      thresholds: result.thresholds,
+      boxes
+    });
+  }
+  
+  /**
+   * Read resistances, immunities, vulnerabilities and damage reduction from the
+   * passive features (e.g., "Resistant to physical damage", "Immune to magic
+   * damage", "reduce incoming physical damage by 2")
+   */
+  _parseDefenses(result) {
+    const damageTypes = "(physical(?:\\s+(?:and|or)\\s+magic(?:al)?)?|magic(?:al)?(?:\\s+(?:and|or)\\s+physical)?|all)";
+    const patterns = [
+      { list: result.resistances, regex: new RegExp(`resist(?:ant|ance)\\s+(?:to|against)\\s+${damageTypes}\\s+damage`, "gi") },
+      { list: result.resistances, regex: new RegExp(`takes?\\s+half\\s+damage\\s+from\\s+${damageTypes}`, "gi") },
+      { list: result.immunities, regex: new RegExp(`immun(?:e|ity)\\s+(?:to|against)\\s+${damageTypes}\\s+damage`, "gi") },
+      { list: result.vulnerabilities, regex: new RegExp(`vulnerab(?:le|ility)\\s+(?:to|against)\\s+${damageTypes}\\s+damage`, "gi") }
+    ];
+    const reductionPattern = new RegExp(`reduc(?:e|es|ing)\\s+(?:any\\s+|all\\s+)?(?:incoming\\s+)?${damageTypes}\\s+damage(?:\\s+(?:it|they)\\s+takes?)?\\s+by\\s+(\\d+)`, "gi");
+    
+    for (const feature of result.features.filter(feature => feature.type === "passive")) {
+      const description = feature.description || "";
+      
+      for (const { list, regex } of patterns) {
+        for (const match of description.matchAll(regex)) {
+          for (const type of this._parseDamageTypes(match[1])) {
+            if (!list.includes(type)) list.push(type);
+          }
+        }
+      }
+      
+      for (const match of description.matchAll(reductionPattern)) {
+        for (const type of this._parseDamageTypes(match[1])) {
+          result.damageReduction[type] = Math.max(result.damageReduction[type], parseInt(match[2]));
+        }
+      }
     }
     
-    // Look for Stress values
-    const stressMatch = line.match(/STRESS[^\d]*(\d+)/i);
-    if (stressMatch) {
-      result.stress = parseInt(stressMatch[1]);
-      this._debug("Parsed stress", { stress: result.stress });
+    this._debug("Parsed defenses", {
+      resistances: result.resistances,
+      immunities: result.immunities,
+      vulnerabilities: result.vulnerabilities,
+      damageReduction: result.damageReduction
+    });
+  }
+  
+  /**
+   * Map damage type text ("physical", "magic", "physical and magic", "all") to system damage types
+   */
+  _parseDamageTypes(text) {
+    const lower = text.toLowerCase();
+    if (lower === "all") return ["physical", "magical"];
+    
+    const types = [];
+    if (lower.includes("physical")) types.push("physical");
+    if (lower.includes("magic")) types.push("magical");
+    return types;
+  }
+  
+  /**
+   * Read the standard Horde and Minion features:
+   * "Horde (2d4+2)" gives the damage of the standard attack once half the HP are marked,
+   * "Minion (4)" gives the damage needed to defeat each additional Minion.
+   */
+  _parseHordeAndMinion(result) {
+    for (const feature of result.features) {
+      const baseName = feature.name.replace(/\s*\(.*\)$/, "").toLowerCase();
+      
+      if (baseName === "horde") {
+        const damageMatch = feature.value.match(/^(\d*d\d+)(?:\s*([+-])\s*(\d+))?$/i);
+        if (damageMatch) {
+          const dice = damageMatch[1].startsWith("d") ? `1${damageMatch[1]}` : damageMatch[1];
+          const bonus = damageMatch[3] ? parseInt(damageMatch[3]) * (damageMatch[2] === "-" ? -1 : 1) : 0;
+          result.horde = {
+            hpPerMember: result.horde?.hpPerMember ?? null,
+            damage: { dice, bonus, formula: feature.value.replace(/\s+/g, "") }
+          };
+          this._debug("Parsed horde feature", result.horde);
+        }
+      } else if (baseName === "minion") {
+        const threshold = parseInt(feature.value);
+        if (threshold) {
+          result.minion = { threshold };
+          this._debug("Parsed minion feature", result.minion);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Read the countdown of every feature that has one
+   */
+  _parseCountdowns(result) {
+    for (const feature of result.features) {
+      const countdown = this.parseCountdown(feature);
+      if (countdown) {
+        feature.countdown = countdown;
+        this._debug("Parsed countdown", { feature: feature.name, countdown });
+      }
     }
   }
   
+  /**
+   * Fill in missing adversary thresholds from the per-tier defaults
+   */
+  _applyDefaultThresholds(result) {
+    if (result.type !== "adversary") return;
+    if (result.thresholds.major !== null && result.thresholds.severe !== null) return;
+    
+    // Minions have no thresholds; everyone else gets the baseline for their tier
+    const defaults = result.subtype === "minion" || result.minion
+      ? { major: 0, severe: 0 }
+      : DEFAULT_THRESHOLDS_BY_TIER[result.tier] || DEFAULT_THRESHOLDS_BY_TIER[1];
+    result.thresholds = {
+      major: result.thresholds.major ?? defaults.major,
+      severe: result.thresholds.severe ?? defaults.severe
+    };
+    
+    this._addWarning(result, null, game.i18n.format("daggerheart-statblock-importer.warnings.inferredThresholds", {
+      tier: result.tier,
+      major: result.thresholds.major,
+      severe: result.thresholds.severe
+    }));
+    this._debug("Inferred thresholds from tier defaults", result.thresholds);
+  }
+  
+  /**
+   * Record a parse warning
+   * @param {Object} result - The parse result
+   * @param {number|null} line - The 1-based line number, or null if the warning is not about one line
+   * @param {string} message - The localized message
+   */
+  _addWarning(result, line, message) {
+    result.warnings.push({ line, message });
+    this._debug("Parse warning", { line, message });
+  }
+  
+  /**
+   * Record a line the parser did not understand, so it can be reported and kept in the notes
+   */
+  _addUnparsedLine(result, line, text) {
+    result.unparsed.push({ line, text });
+    this._addWarning(result, line, game.i18n.format("daggerheart-statblock-importer.warnings.unparsedLine", { text }));
+  }
+  
   /**
    * Debug logging helper
    */
@@ -0,0 +1,19 @@
+const MODULE_ID = 'daggerheart-statblock-importer';
+
+/**
+ * A rule list setting (artRules, actionRules) as a list of rule objects; invalid JSON is reported and ignored
+ * @param {string} key - The setting key
+ * @returns {Object[]}
+ */
+export function loadRuleSetting(key) {
+  const setting = game?.settings?.get(MODULE_ID, key);
+  if (!setting || typeof setting !== 'string') return [];
+  
+  try {
+    const rules = JSON.parse(setting);
+    return Array.isArray(rules) ? rules.filter(rule => rule && typeof rule === 'object') : [];
+  } catch (error) {
+    console.warn(`Daggerheart Statblock Importer | The ${key} setting is not valid JSON`, error);
+    return [];
+  }
+}
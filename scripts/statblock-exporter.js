@@ -0,0 +1,259 @@
+import { StatblockParser } from './parser.js';
+import { DaggerheartActorCreator } from './actor-creator.js';
+
+const RANGE_LABELS = {
+  melee: 'Melee',
+  veryClose: 'Very Close',
+  close: 'Close',
+  far: 'Far',
+  veryFar: 'Very Far'
+};
+
+// Actor fields that do not come from the statblock text and are ignored by the round-trip check
+const NON_STATBLOCK_FIELDS = ['system.notes'];
+
+/**
+ * Turns Daggerheart actors back into freshcutgrass-style statblock text, the inverse of StatblockParser
+ */
+export class StatblockExporter {
+  constructor() {
+    this.debugMode = game?.settings?.get('daggerheart-statblock-importer', 'debugMode') || false;
+  }
+  
+  /**
+   * Export an adversary or environment actor as statblock text
+   * @param {Actor} actor - The actor to export
+   * @returns {string} Statblock text that the importer reads back into the same actor
+   */
+  exportActor(actor) {
+    if (actor.type !== 'adversary' && actor.type !== 'environment') {
+      throw new Error(game.i18n.localize('daggerheart-statblock-importer.errors.notExportable'));
+    }
+    
+    const text = this.toText(this.fromActor(actor));
+    this._debug('Exported actor', { actor, text });
+    return text;
+  }
+  
+  /**
+   * Check that re-importing the exported text reproduces the actor
+   * @param {Actor} actor - The actor to check
+   * @returns {{text: string, changes: Object[], items: Object}} The exported text, and the fields and
+   *   feature items a re-import would change; both are empty when the export is lossless
+   */
+  async verifyRoundTrip(actor) {
+    const text = this.exportActor(actor);
+    const parsed = await new StatblockParser().parse(text);
+    const plan = await new DaggerheartActorCreator().planMerge(actor, parsed);
+    
+    return {
+      text,
+      changes: plan.changes.filter(change => !NON_STATBLOCK_FIELDS.includes(change.field)),
+      items: plan.items
+    };
+  }
+  
+  /**
+   * Read an actor into the same shape StatblockParser produces
+   * @param {Actor} actor - An adversary or environment actor
+   * @returns {Object} Statblock data
+   */
+  fromActor(actor) {
+    const system = actor.system;
+    const data = {
+      name: actor.name,
+      type: actor.type,
+      tier: system.tier || 1,
+      subtype: system.type || '',
+      description: this._toPlainText(system.description),
+      difficulty: system.difficulty,
+      features: actor.items
+        .filter(item => item.type === 'feature')
+        .map(item => this._readFeature(item))
+    };
+    
+    if (actor.type === 'environment') {
+      data.impulses = this._toPlainText(system.impulses);
+      data.potentialAdversaries = Object.values(system.potentialAdversaries ?? {}).map(group => ({
+        label: group.label,
+        names: [...(group.adversaries ?? [])]
+          .map(adversary => typeof adversary === 'string' ? fromUuidSync(adversary)?.name : adversary?.name)
+          .filter(name => name)
+      })).filter(group => group.names.length > 0);
+      return data;
+    }
+    
+    data.motivesAndTactics = system.motivesAndTactics || '';
+    data.hitPoints = system.resources?.hitPoints?.max || 0;
+    data.stress = system.resources?.stress?.max || 0;
+    data.thresholds = {
+      major: system.damageThresholds?.major ?? 0,
+      severe: system.damageThresholds?.severe ?? 0
+    };
+    data.experiences = Object.values(system.experiences ?? {}).map(experience => ({
+      name: experience.name,
+      value: experience.value
+    }));
+    data.attack = system.attack?.roll?.bonus ?? 0;
+    data.attackInfo = this._readAttack(system.attack);
+    if (data.subtype === 'horde') {
+      data.horde = { hpPerMember: system.hordeHp || 1 };
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Write statblock data as freshcutgrass-style text
+   * @param {Object} data - Statblock data, as returned by fromActor or StatblockParser
+   * @returns {string}
+   */
+  toText(data) {
+    const lines = [this._formatHeader(data)];
+    if (data.description) lines.push(data.description);
+    
+    if (data.type === 'environment') {
+      if (data.impulses) lines.push(`Impulses: ${data.impulses}`);
+      lines.push(`Difficulty: ${data.difficulty}`);
+      if (data.potentialAdversaries?.length) {
+        const groups = data.potentialAdversaries.map(group =>
+          group.label ? `${group.label} (${group.names.join(', ')})` : group.names.join(', ')
+        );
+        lines.push(`Potential Adversaries: ${groups.join(', ')}`);
+      }
+    } else {
+      if (data.motivesAndTactics) lines.push(`Motives & Tactics: ${data.motivesAndTactics}`);
+      lines.push(`Difficulty: ${data.difficulty}`);
+      
+      const { major, severe } = data.thresholds ?? {};
+      lines.push(major || severe ? `Thresholds: ${major}/${severe}` : 'Thresholds: None');
+      if (data.hitPoints) lines.push(`HP: ${data.hitPoints}`);
+      if (data.stress) lines.push(`Stress: ${data.stress}`);
+      
+      lines.push(`Attack: ${this._formatModifier(data.attack)}`);
+      if (data.attackInfo) {
+        const { name, range, dice, bonus, damageType } = data.attackInfo;
+        const type = damageType === 'magical' ? 'mag' : 'phy';
+        lines.push(`${name}: ${range} | ${dice}${bonus ? this._formatModifier(bonus) : ''} ${type}`);
+      }
+      
+      if (data.experiences?.length) {
+        const experiences = data.experiences.map(experience => `${experience.name} ${this._formatModifier(experience.value)}`);
+        lines.push(`Experience: ${experiences.join(', ')}`);
+      }
+    }
+    
+    if (data.features?.length) {
+      lines.push('', 'FEATURES');
+      for (const feature of data.features) {
+        lines.push(`${feature.name} - ${this._capitalize(feature.type)}`);
+        if (feature.description) lines.push(feature.description);
+        if (feature.questions?.length) lines.push(feature.questions.join(' '));
+      }
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * Statblock header: "NAME T2 Bruiser", "NAME T1 Horde (5/HP)" or "NAME T1 Social - Environment"
+   */
+  _formatHeader(data) {
+    let type = this._capitalize(data.subtype || (data.type === 'environment' ? 'traversal' : 'standard'));
+    if (data.type === 'environment') {
+      type += ' - Environment';
+    } else if (data.horde?.hpPerMember) {
+      type += ` (${data.horde.hpPerMember}/HP)`;
+    }
+    return `${data.name} T${data.tier} ${type}`;
+  }
+  
+  /**
+   * Feature item as statblock data; the feature type comes from the import flag, or from whether the item has actions
+   */
+  _readFeature(item) {
+    const type = item.getFlag('daggerheart-statblock-importer', 'featureType')
+      ?? (Object.keys(item.system.actions ?? {}).length > 0 ? 'action' : 'passive');
+    
+    // Environment features keep their GM prompt questions in a trailing <em> paragraph
+    const html = item.system.description || '';
+    const questionsMatch = html.match(/<p><em>([^<]*)<\/em><\/p>\s*$/);
+    const description = questionsMatch ? html.slice(0, questionsMatch.index) : html;
+    
+    return {
+      name: item.name,
+      type,
+      description: this._toPlainText(description),
+      questions: questionsMatch ? questionsMatch[1].split(/(?<=\?)\s+/) : []
+    };
+  }
+  
+  /**
+   * The standard attack as the parser's attackInfo, or null when it deals no damage
+   */
+  _readAttack(attack) {
+    const part = attack?.damage?.parts?.[0];
+    const damageMatch = this._readDamageFormula(part?.value)?.match(/^(\d+d\d+)([+-]\d+)?$/);
+    if (!damageMatch) return null;
+    
+    return {
+      name: attack.name || 'Attack',
+      range: RANGE_LABELS[attack.range] || RANGE_LABELS.melee,
+      dice: damageMatch[1],
+      bonus: damageMatch[2] ? parseInt(damageMatch[2]) : 0,
+      damageType: part.type?.includes('magical') ? 'magical' : 'physical'
+    };
+  }
+  
+  /**
+   * Damage formula of a damage value: its custom formula when that is enabled, otherwise the formula
+   * the system rolls from its dice, flat multiplier and bonus, such as "2d6-1"
+   */
+  _readDamageFormula(value) {
+    if (!value) return null;
+    if (value.custom?.enabled) return value.custom.formula?.replace(/\s+/g, '');
+    if (!value.dice) return null;
+    
+    const bonus = parseInt(value.bonus) || 0;
+    return `${value.flatMultiplier || 1}${value.dice}${bonus ? this._formatModifier(bonus) : ''}`;
+  }
+  
+  /**
+   * Collapse HTML into a single line of text
+   */
+  _toPlainText(html) {
+    return (html || '')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  
+  /**
+   * Signed modifier, e.g. "+3" or "-2"
+   */
+  _formatModifier(value) {
+    return value < 0 ? `${value}` : `+${value || 0}`;
+  }
+  
+  /**
+   * "bruiser" -> "Bruiser"
+   */
+  _capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+  
+  /**
+   * Debug logging helper
+   */
+  _debug(message, data = null) {
+    if (this.debugMode) {
+      console.log(`StatblockExporter | ${message}`, data);
+    }
+  }
+}
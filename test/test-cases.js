@@ -48,8 +48,10 @@ STRESS [ ] [ ] [ ]`,
           type: 'reaction'
         }
       ],
-      hitPoints: { minor: 8, major: 15, severe: 0 },
-      stress: 3
+      hitPoints: 8,
+      stress: 3,
+      thresholds: { major: 8, severe: 15 },
+      format: 'freshcutgrass'
     }
   },
 
@@ -76,8 +78,10 @@ STRESS [ ] [ ]`,
       experience: 'Keen Smell +1',
       motivesAndTactics: 'Swarm, Bite, Flee',
       features: [],
-      hitPoints: { minor: 3, major: 5, severe: 0 },
-      stress: 2
+      hitPoints: 3,
+      stress: 2,
+      thresholds: { major: 3, severe: 5 },
+      warnings: 0
     }
   },
 
@@ -97,9 +101,9 @@ You Survive My Test: Finesse
 The court's social machinations require finesse to navigate. When a character attempts to navigate the court's social dynamics, they must make a Finesse roll with Fear. On a success, they gain valuable information or an ally. On a failure, they commit a social faux pas and gain an enemy.`,
     expected: {
       name: 'ABANDONED GROVE',
-      type: 'adversary',
+      type: 'environment',
       tier: 1,
-      subtype: 'Event - Environment',
+      subtype: 'event',
       description: 'A once-sacred grove now tainted by dark magic.',
       difficulty: 12
     }
@@ -119,9 +123,1091 @@ Some random text without proper structure`,
     input: '',
     shouldFail: true,
     expectedError: 'empty'
+  },
+
+  // Test case 6: HP & Stress track split across several lines with a dedicated HP track
+  splitHPTrack: {
+    input: `BLADED GUARD T1 Standard
+An armored guard bearing a sword and shield.
+Difficulty: 12
+Attack: +1
+
+HP & STRESS
+MINOR [ ] 5
+MAJOR [ ] 9
+SEVERE [ ]
+HP [ ] [ ] [ ]
+[ ] [ ]
+STRESS [ ] [ ]`,
+    expected: {
+      name: 'BLADED GUARD',
+      difficulty: 12,
+      features: [],
+      hitPoints: 5,
+      stress: 2,
+      thresholds: { major: 5, severe: 9 }
+    }
+  },
+
+  // Test case 7: Explicit thresholds line
+  thresholdsLine: {
+    input: `JAGGED KNIFE LIEUTENANT T1 Leader
+A seasoned bandit in quality leathers with a fierce look in their eyes.
+Difficulty: 13
+Thresholds: 8/16
+Attack: +2
+
+HP & STRESS
+HP [ ] [ ] [ ] [ ] [ ] [ ]
+STRESS [ ] [ ] [ ]`,
+    expected: {
+      name: 'JAGGED KNIFE LIEUTENANT',
+      difficulty: 13,
+      thresholds: { major: 8, severe: 16 },
+      warnings: 0
+    }
+  },
+
+  // Test case 8: Minion without thresholds
+  minionThresholds: {
+    input: `JAGGED KNIFE LACKEY T1 Minion
+A thief with simple clothes and small daggers, eager to prove themselves.
+Difficulty: 9
+Thresholds: None
+Attack: -2
+
+HP & STRESS
+STRESS [ ]`,
+    expected: {
+      name: 'JAGGED KNIFE LACKEY',
+      difficulty: 9,
+      thresholds: { major: 0, severe: 0 },
+      warnings: 0
+    }
+  },
+
+  // Test case 9: No thresholds anywhere, tier defaults are inferred with a warning
+  inferredThresholds: {
+    input: `COVEN WITCH T2 Support
+A witch in dark robes.
+Difficulty: 15
+Attack: +3
+
+HP & STRESS
+HP [ ] [ ] [ ] [ ] [ ]
+STRESS [ ] [ ] [ ] [ ]`,
+    expected: {
+      name: 'COVEN WITCH',
+      difficulty: 15,
+      thresholds: { major: 10, severe: 20 },
+      warnings: 1
+    }
+  },
+
+  // Test case 10: Several statblocks pasted from one print page
+  multipleStatblocks: {
+    input: `ACID BURROWER T1 Solo
+A home-sized insect with digging claws and acidic blood.
+Difficulty: 14
+Thresholds: 8/15
+Attack: +3
+
+HP & STRESS
+HP [ ] [ ] [ ] [ ] [ ] [ ] [ ] [ ]
+STRESS [ ] [ ] [ ]
+GIANT RAT T1 Minion
+A large, aggressive rodent.
+Difficulty: 10
+Thresholds: None
+
+Bear
+T1 Bruiser
+A large bear with thick fur and powerful claws.
+Difficulty: 14`,
+    expectedNames: ['ACID BURROWER', 'GIANT RAT', 'Bear']
+  },
+
+  // Test case 11: Encounter with a composition list and one inline statblock
+  encounter: {
+    input: `Encounter: Bandit Ambush
+Bandits spring from the undergrowth along the road.
+3x Jagged Knife Bandit
+1x Acid Burrower
+
+ACID BURROWER T1 Solo
+A home-sized insect with digging claws and acidic blood.
+Difficulty: 14
+Thresholds: 8/15
+Attack: +3`,
+    expected: {
+      name: 'Bandit Ambush',
+      composition: [
+        { count: 3, name: 'Jagged Knife Bandit' },
+        { count: 1, name: 'Acid Burrower' }
+      ],
+      statblocks: 1
+    }
+  },
+
+  // Test case 12: Environment with impulses, potential adversaries and GM prompts
+  fullEnvironment: {
+    input: `ABANDONED GROVE T1 Exploration
+A former druidic grove lying fallow and fully reclaimed by nature.
+Impulses: Draw in the curious, echo the past
+Difficulty: 11
+Potential Adversaries: Beasts (Bear, Dire Wolf, Glass Snake), Grove Guardians (Minor Treant, Sylvan Soldier), Young Dryad
+
+FEATURES
+Overgrown Battlefield - Passive
+There has been a battle here. A PC can make an Instinct Roll to identify evidence of that fight.
+What treasures might remain? Who won the battle?
+Barbed Vines - Action
+Pick a point within the grove. All targets within Very Close range of that point must succeed on an Agility Reaction Roll or take 1d8+3 physical damage and become Restrained.
+How might the vines deter intruders?`,
+    expected: {
+      name: 'ABANDONED GROVE',
+      type: 'environment',
+      difficulty: 11,
+      impulses: 'Draw in the curious, echo the past',
+      potentialAdversaries: [
+        { label: 'Beasts', names: ['Bear', 'Dire Wolf', 'Glass Snake'] },
+        { label: 'Grove Guardians', names: ['Minor Treant', 'Sylvan Soldier'] },
+        { label: '', names: ['Young Dryad'] }
+      ],
+      features: [
+        { name: 'Overgrown Battlefield', type: 'passive', questions: 2 },
+        { name: 'Barbed Vines', type: 'action', questions: 1 }
+      ]
+    }
+  },
+
+  // Test case 13: SRD / core rulebook layout
+  srdLayout: {
+    input: `ACID BURROWER
+***Tier 1 Solo***
+A home-sized insect with digging claws and acidic blood.
+Motives & Tactics: Burrow, drag away, feed, reposition
+Difficulty: 14 | Thresholds: 8/15 | HP: 8 | Stress: 3
+ATK: +3 | Claws: Very Close | 1d12+2 phy
+Experience: Tremor Sense +2
+
+FEATURES
+Relentless (3) - Passive: The Burrower can be spotlighted up to three times per GM turn. Spend Fear as usual to spotlight them.
+Earth Eruption - Action: Mark a Stress to have the Burrower burst out of the ground. Make an attack against all targets in front of the Burrower within Close range.
+Targets the Burrower succeeds against take 2d6 physical damage.`,
+    expected: {
+      name: 'ACID BURROWER',
+      type: 'adversary',
+      difficulty: 14,
+      attack: 3,
+      hitPoints: 8,
+      stress: 3,
+      thresholds: { major: 8, severe: 15 },
+      experiences: [{ name: 'Tremor Sense', value: 2 }],
+      attackInfo: { name: 'Claws', range: 'Very Close', dice: '1d12', bonus: 2, damageType: 'physical' },
+      features: [
+        { name: 'Relentless (3)', type: 'passive', value: '3' },
+        { name: 'Earth Eruption', type: 'action' }
+      ],
+      warnings: 0,
+      format: 'srd'
+    }
+  },
+
+  // Test case 14: Resistances, immunities, vulnerabilities and damage reduction from passives
+  defenses: {
+    input: `STONE GOLEM T2 Bruiser
+A hulking construct of carved granite.
+Difficulty: 15
+Thresholds: 12/24
+Attack: +4
+
+FEATURES
+Stone Skin - Passive
+The Golem is resistant to physical damage and reduces incoming physical damage by 2.
+Warded - Passive
+The Golem is immune to magic damage.
+Brittle - Passive
+The Golem is vulnerable to physical and magical damage while Restrained.
+Slam - Action
+Make an attack against a target within Melee range. On a success, deal 2d10+4 physical damage.`,
+    expected: {
+      name: 'STONE GOLEM',
+      difficulty: 15,
+      resistances: ['physical'],
+      immunities: ['magical'],
+      vulnerabilities: ['physical', 'magical'],
+      damageReduction: { physical: 2, magical: 0 }
+    }
+  },
+
+  // Test case 15: Horde size from the header and horde damage from the Horde feature
+  horde: {
+    input: `GIANT MOSQUITOES T1 Horde (5/HP)
+Dozens of fist-sized mosquitoes, flying together for protection.
+Difficulty: 10
+Thresholds: 5/9
+Attack: -2
+Proboscis: Melee | 1d8+3 phy
+
+FEATURES
+Horde (1d4+1) - Passive
+When the Mosquitoes have marked half or more of their HP, their standard attack deals 1d4+1 physical damage instead.`,
+    expected: {
+      name: 'GIANT MOSQUITOES',
+      difficulty: 10,
+      subtype: 'horde',
+      horde: { hpPerMember: 5, damage: { dice: '1d4', bonus: 1, formula: '1d4+1' } }
+    }
+  },
+
+  // Test case 16: Minion feature
+  minion: {
+    input: `JAGGED KNIFE LACKEY T1 Minion
+A thief with simple clothes and small daggers, eager to prove themselves.
+Difficulty: 9
+Attack: -2
+
+FEATURES
+Minion (3) - Passive
+The Lackey is defeated when they take any damage. For every 3 damage a PC deals to the Lackey, defeat an additional Minion within range the attack would succeed against.`,
+    expected: {
+      name: 'JAGGED KNIFE LACKEY',
+      difficulty: 9,
+      minion: { threshold: 3 },
+      // Damage dealt to the Lackey and the additional minions it defeats
+      minionDefeats: [[2, 0], [3, 1], [7, 2]],
+      thresholds: { major: 0, severe: 0 }
+    }
+  },
+
+  // Test case 17: Unrecognised lines and loose feature headers are reported with line numbers
+  diagnostics: {
+    format: 'homebrew',
+    input: `CAVE OGRE T1 Solo
+A massive humanoid who sees all sapient life as food.
+Difficulty: 13
+Thresholds: 8/15
+Attack: +1
+Lairs in caves beneath the mountains.
+
+FEATURES
+Ramp Up: Passive
+You must spend a Fear to spotlight the Ogre.
+
+HP & STRESS
+HP [ ] [ ] [ ] [ ] [ ] [ ] [ ] [ ]
+STRESS [ ] [ ] [ ]
+Art by the module author`,
+    expected: {
+      name: 'CAVE OGRE',
+      difficulty: 13,
+      features: [{ name: 'Ramp Up', type: 'passive' }],
+      warningLines: [6, 9, 15],
+      unparsed: 2
+    }
+  },
+
+  // Test case 18: freshcutgrass JSON save file, mapped without the text parser
+  jsonSaveFile: {
+    format: 'freshcutgrass-json',
+    input: JSON.stringify({
+      name: 'Acid Burrower',
+      kind: 'adversary',
+      tier: 1,
+      role: 'Solo',
+      description: 'A home-sized insect with digging claws and acidic blood.',
+      motivesAndTactics: ['Burrow', 'Drag away', 'Feed', 'Reposition'],
+      difficulty: 14,
+      thresholds: { major: 8, severe: 15 },
+      hp: 8,
+      stress: 3,
+      attack: { modifier: 3, name: 'Claws', range: 'Very Close', damage: '1d12+2 phy' },
+      // Entries without a name are skipped and a null value counts as none
+      experiences: [{ name: 'Tremor Sense', value: 2 }, { value: 1 }],
+      features: [
+        { name: 'Relentless', value: 3, type: 'Passive', description: 'The Burrower can be spotlighted up to three times per GM turn.' },
+        { name: 'Acid Bath', value: null, type: 'Reaction', description: 'When the Burrower takes Severe damage, all creatures within Close range take 1d10 physical damage.' },
+        { name: null, type: 'Passive', description: 'An unfinished feature.' }
+      ],
+      artist: 'Unknown'
+    }),
+    expected: {
+      name: 'Acid Burrower',
+      type: 'adversary',
+      subtype: 'solo',
+      difficulty: 14,
+      attack: 3,
+      attackInfo: { name: 'Claws', range: 'Very Close', dice: '1d12', bonus: 2, damageType: 'physical' },
+      experiences: [{ name: 'Tremor Sense', value: 2 }],
+      features: [
+        { name: 'Relentless (3)', type: 'passive' },
+        { name: 'Acid Bath', type: 'reaction' }
+      ],
+      hitPoints: 8,
+      stress: 3,
+      thresholds: { major: 8, severe: 15 },
+      warnings: 1,
+      format: 'freshcutgrass-json'
+    }
+  },
+
+  // Test case 19: Exporting an imported actor and importing the text again reproduces the statblock
+  exportRoundTrip: {
+    roundTrip: ['acidBurrower', 'srdLayout', 'fullEnvironment', 'defenses', 'horde', 'minion']
+  },
+
+  // Test case 20: The default action rules split hazardous ground off into its own action, by its wording rather than the feature name
+  actionRules: {
+    input: `ACID BURROWER T1 Solo
+Difficulty: 14
+Attack: +3
+HP: 8
+Stress: 3
+
+FEATURES
+Earth Eruption - Action
+Mark a Stress to have the Burrower burst out of the ground. Make an attack against all targets in front of the Burrower within Close range. Targets the Burrower succeeds against take 2d6 physical damage and must mark an Armor Slot without receiving its benefits.
+Acid Bath - Reaction
+When the Burrower takes Severe damage, all creatures within Close range are bathed in their acidic blood, taking 1d10 physical damage. This splash covers the ground within Very Close range with blood, and all creatures other than the Burrower who move through it take 1d6 physical damage.
+Bloodbath - Action
+Make an attack against a target within Very Close range. On a success, the target takes 1d8 physical damage.`,
+    expected: {
+      name: 'ACID BURROWER',
+      features: [
+        {
+          name: 'Earth Eruption',
+          actions: [{ type: 'attack', range: 'close', damage: ['2d6 physical', '1 armor'] }]
+        },
+        {
+          name: 'Acid Bath',
+          actions: [
+            { type: 'damage', range: 'close', damage: ['1d10 physical'] },
+            { name: 'Hazardous Ground', type: 'damage', damage: ['1d6 physical'] }
+          ]
+        },
+        {
+          name: 'Bloodbath',
+          actions: [{ type: 'attack', range: 'veryClose', damage: ['1d8 physical'] }]
+        }
+      ]
+    }
+  },
+
+  // Test case 21: Countdown features, including loop and dynamic countdowns and a roll as start value
+  countdowns: {
+    input: `COLLAPSING MINE T2 Traversal - Environment
+A mine shaft groaning under its own weight.
+Impulses: Bury the greedy, shift and settle
+Difficulty: 14
+
+FEATURES
+Cave-In Countdown (5) - Action
+Spend a Fear to activate a Countdown (5). It ticks down whenever a PC rolls with Fear. When it triggers, all creatures within Close range take 3d6 physical damage.
+Falling Rocks - Reaction
+Activate a Countdown (Loop 1d4+1). When it triggers, a random PC must succeed on an Agility Reaction Roll or be knocked prone.
+Rising Water - Action
+Activate a Dynamic Countdown (8). It ticks down by 1 on a failure and by 2 on a critical failure.`,
+    expected: {
+      name: 'COLLAPSING MINE',
+      type: 'environment',
+      features: [
+        {
+          name: 'Cave-In Countdown',
+          countdown: { start: '5', loop: false, dynamic: false },
+          actions: [{ name: 'Countdown', type: 'countdown', countdownMax: 5 }, { type: 'damage', damage: ['3d6 physical'] }]
+        },
+        {
+          name: 'Falling Rocks',
+          countdown: { start: '1d4+1', loop: true, dynamic: false },
+          // A roll is only turned into a number when the actor is created
+          actions: [{ name: 'Countdown', type: 'countdown', countdownMax: null }],
+          rolledCountdown: [2, 5]
+        },
+        {
+          name: 'Rising Water',
+          countdown: { start: '8', loop: false, dynamic: true },
+          actions: [{ name: 'Countdown', type: 'countdown', countdownMax: 8 }]
+        }
+      ]
+    }
+  },
+
+  // Test case 22: Quantified, unquantified and alternative costs, costs after a named subject, and use limits; costs paid by targets are not the adversary's
+  costsAndUses: {
+    input: `CAVE OGRE T2 Bruiser
+Difficulty: 13
+Thresholds: 8/15
+HP: 8
+Stress: 3
+Attack: +1
+Club: Very Close | 1d10+2 phy
+
+FEATURES
+Ramp Up - Action
+Spend 2 Fear to make a standard attack against all targets within Very Close range.
+Bone Breaker - Action
+Twice per scene, spend a Fear or mark a Stress to make an attack. Targets must mark an Armor Slot or take 2d6 physical damage.
+Throw - Action
+You can mark 2 Stress and spend a Fear to hurl a target within Close range. Once per long rest.
+Stomp - Action
+Spend Fear to shake the ground. All targets within Close range must succeed on an Agility Reaction Roll or be knocked prone.
+Crushing Blow - Action
+The Ogre can spend 2 Fear to smash a target within Melee range.
+Bellow - Action
+The Ogre may mark a Stress to force all targets within Far range to become Vulnerable.`,
+    expected: {
+      name: 'CAVE OGRE',
+      features: [
+        {
+          name: 'Ramp Up',
+          actions: [{ name: 'Fear', cost: ['2 fear'], uses: { max: '', recovery: null } }]
+        },
+        {
+          name: 'Bone Breaker',
+          actions: [
+            { name: 'Fear', cost: ['1 fear'], uses: { max: '2', recovery: 'scene' } },
+            { name: 'Stress', cost: ['1 stress'], uses: { max: '2', recovery: 'scene' } }
+          ]
+        },
+        {
+          name: 'Throw',
+          actions: [{ name: 'Stress & Fear', cost: ['2 stress', '1 fear'], uses: { max: '1', recovery: 'longRest' } }]
+        },
+        {
+          name: 'Stomp',
+          actions: [{ cost: ['1 fear'] }]
+        },
+        {
+          name: 'Crushing Blow',
+          actions: [{ cost: ['2 fear'] }]
+        },
+        {
+          name: 'Bellow',
+          actions: [{ cost: ['1 stress'] }]
+        }
+      ]
+    }
+  },
+
+  // Test case 23: Modifiers of passive features become Active Effects; conditional ones start disabled
+  passiveEffects: {
+    input: `SHADOW STALKER T2 Skulk
+Difficulty: 15
+Thresholds: 8/16
+HP: 4
+Stress: 4
+Attack: +2
+Knives: Melee | 1d8+2 phy
+
+FEATURES
+Honed Blades - Passive
+The Stalker gets +1 to attack rolls and +2 to damage rolls.
+From the Shadows - Passive
+The Stalker gets +2 to attack rolls while Hidden. It gains advantage against Vulnerable targets.
+Cloak of Night - Passive
+Its Difficulty +2 while in darkness.
+Relentless (2) - Passive
+The Stalker can be spotlighted up to two times per GM turn.`,
+    expected: {
+      name: 'SHADOW STALKER',
+      features: [
+        {
+          name: 'Honed Blades',
+          effects: [{
+            name: 'Honed Blades',
+            disabled: false,
+            changes: ['system.bonuses.roll.attack.bonus 1', 'system.bonuses.damage.physical.bonus 2', 'system.bonuses.damage.magical.bonus 2']
+          }]
+        },
+        {
+          name: 'From the Shadows',
+          effects: [
+            { name: 'From the Shadows (while Hidden)', disabled: true, changes: ['system.bonuses.roll.attack.bonus 2'] },
+            { name: 'From the Shadows (against Vulnerable targets)', disabled: true, changes: ['system.advantageSources From the Shadows'] }
+          ]
+        },
+        {
+          name: 'Cloak of Night',
+          effects: [{ name: 'Cloak of Night (while in darkness)', disabled: true, changes: ['system.difficulty 2'] }]
+        },
+        { name: 'Relentless', effects: [] }
+      ]
+    }
+  },
+
+  // Test case 24: Conditions inflicted by actions become status effects the action applies
+  conditions: {
+    input: `GIANT SPIDER T1 Skulk
+Difficulty: 12
+Thresholds: 5/9
+HP: 4
+Stress: 3
+Attack: +1
+Fangs: Melee | 1d8 phy
+
+FEATURES
+Web Shot - Action
+Make an attack against a target within Far range. On a success, the target is temporarily Restrained until they break free with a Strength Roll.
+Ambush - Action
+Mark a Stress to make an attack against a target within Melee range. It has advantage against Vulnerable targets. On a success, the target becomes Vulnerable. They can clear this condition by spending a Hope.
+Skitter - Reaction
+When the Spider takes damage, it becomes Hidden.`,
+    expected: {
+      name: 'GIANT SPIDER',
+      features: [
+        {
+          name: 'Web Shot',
+          conditions: [{ status: 'restrained', ending: 'until they break free with a Strength Roll' }]
+        },
+        {
+          name: 'Ambush',
+          conditions: [{ status: 'vulnerable', ending: 'They can clear this condition by spending a Hope.' }]
+        },
+        {
+          name: 'Skitter',
+          conditions: [{ status: 'hidden', ending: '' }]
+        }
+      ]
+    }
+  },
+
+  // Test case 25: Flat damage bonuses, direct and Stress damage, either damage type, "magic" damage and half damage on a success
+  damage: {
+    input: `STORM WRAITH T3 Leader
+Difficulty: 17
+Thresholds: 18/32
+HP: 6
+Stress: 5
+Attack: +3
+Chill Touch: Melee | 3d8+4 mag
+
+FEATURES
+Lightning Lash - Action
+Make an attack against a target within Far range. On a success, deal 1d8+3 physical or magical damage.
+Soul Drain - Action
+Mark a Stress to make an attack against a target within Close range. On a success, deal 2d10+2 direct magical damage and they must mark a Stress.
+Howling Gale - Action
+All targets within Close range must make a Strength Reaction Roll. Targets who fail take 3d6-1 physical damage and take 1d4 Stress. On a success, they take half damage.
+Spit Acid - Action
+Make an attack against a target within Close range. On a success, deal 2d6 physical damage and the target must mark an Armor Slot without receiving its benefits.
+Arc Bolt - Action
+Make an attack against a target within Far range. On a success, deal 2d8 magic damage.`,
+    expected: {
+      name: 'STORM WRAITH',
+      features: [
+        {
+          name: 'Lightning Lash',
+          actions: [{ damage: ['1d8+3 physical/magical'], direct: false, damageMod: 'none' }]
+        },
+        {
+          name: 'Soul Drain',
+          actions: [{ cost: ['1 stress'], damage: ['2d10+2 magical', '1 stress'], direct: true }]
+        },
+        {
+          name: 'Howling Gale',
+          actions: [{ damage: ['3d6-1 physical', '1d4 stress'], damageMod: 'half' }]
+        },
+        {
+          name: 'Spit Acid',
+          actions: [{ damage: ['2d6 physical', '1 armor'] }]
+        },
+        {
+          name: 'Arc Bolt',
+          actions: [{ damage: ['2d8 magical'] }]
+        }
+      ]
+    }
+  },
+
+  // Test case 26: Target type, amount and area range of actions; an attack's target comes from its attack clause
+  targets: {
+    input: `WAR CHIEF T2 Leader
+Difficulty: 15
+Thresholds: 10/20
+HP: 6
+Stress: 4
+Attack: +3
+Axe: Melee | 1d10+3 phy
+
+FEATURES
+Cleave - Action
+Make an attack against up to three targets within Melee range. Targets the Chief succeeds against take 1d10 physical damage.
+War Cry - Action
+Spend a Fear to force all enemies within Close range to make a Presence Reaction Roll or become Vulnerable.
+Rally - Action
+Mark a Stress to let an ally within Far range clear 2 Hit Points.
+Sweep - Action
+Make an attack against each target in front of the Chief within Very Close range.
+Second Wind - Reaction
+When the Chief takes Severe damage, it clears a Stress from itself.
+Shield Bash - Action
+Make an attack against a target within Melee range. On a success, an ally within Close range clears a Stress.
+Battle Hymn - Action
+Mark a Stress. Those who hear it within Far range steel themselves for the fight.
+Ground Slam - Action
+All targets within Close range take 1d10 physical damage. The Chief then buries itself underground.`,
+    expected: {
+      name: 'WAR CHIEF',
+      features: [
+        { name: 'Cleave', actions: [{ target: { type: 'any', amount: 3 }, range: 'melee' }] },
+        { name: 'War Cry', actions: [{ target: { type: 'hostile', amount: null }, range: 'close' }] },
+        { name: 'Rally', actions: [{ target: { type: 'friendly', amount: 1 }, range: 'far' }] },
+        { name: 'Sweep', actions: [{ target: { type: 'any', amount: null }, range: 'veryClose' }] },
+        { name: 'Second Wind', actions: [{ target: { type: 'self', amount: null } }] },
+        { name: 'Shield Bash', actions: [{ target: { type: 'any', amount: 1 }, range: 'melee' }] },
+        { name: 'Battle Hymn', actions: [{ target: { type: 'any', amount: null }, range: 'far' }] },
+        { name: 'Ground Slam', actions: [{ target: { type: 'any', amount: null }, range: 'close' }] }
+      ]
+    }
+  },
+
+  // Test case 27: A chosen format reads only its own layout; loose headers and pipe lines need homebrew or SRD
+  strictFormat: {
+    format: 'freshcutgrass',
+    input: `CAVE OGRE T1 Solo
+Difficulty: 13 | Thresholds: 8/15 | HP: 8 | Stress: 3
+Attack: +1
+
+FEATURES
+Ramp Up: Passive
+You must spend a Fear to spotlight the Ogre.`,
+    expected: {
+      name: 'CAVE OGRE',
+      difficulty: 13,
+      hitPoints: 0,
+      thresholds: { major: 7, severe: 12 },
+      features: [],
+      unparsed: 2
+    }
+  },
+
+  // Test case 28: Re-importing a changed passive modifier replaces the imported effect and keeps the GM's
+  mergeChangedModifier: {
+    input: `SHADOW STALKER T2 Skulk
+Difficulty: 15
+Thresholds: 8/16
+HP: 4
+Stress: 4
+Attack: +2
+Knives: Melee | 1d8+2 phy
+
+FEATURES
+Honed Blades - Passive
+The Stalker gets +1 to attack rolls.`,
+    reimport: `SHADOW STALKER T2 Skulk
+Difficulty: 15
+Thresholds: 8/16
+HP: 4
+Stress: 4
+Attack: +2
+Knives: Melee | 1d8+2 phy
+
+FEATURES
+Honed Blades - Passive
+The Stalker gets +3 to attack rolls.`,
+    gmEffects: { 'Honed Blades': 'Blessed' },
+    expectedMerge: {
+      create: [],
+      update: ['Honed Blades'],
+      delete: [],
+      effects: {
+        'Honed Blades': [
+          { name: 'Blessed', changes: [] },
+          { name: 'Honed Blades', changes: ['system.bonuses.roll.attack.bonus 3'] }
+        ]
+      }
+    }
+  },
+
+  // Test case 29: Re-importing an unchanged statblock, condition and modifier effects included, changes no items
+  mergeUnchanged: {
+    input: `BRAMBLE WARDEN T1 Solo
+Difficulty: 13
+Thresholds: 7/14
+HP: 6
+Stress: 3
+Attack: +2
+Thorns: Close | 1d8+1 phy
+
+FEATURES
+Barkskin - Passive
+The Warden gets +2 to its damage thresholds. It gets +1 to attack rolls while in a forest.
+Grasping Roots - Action
+Make an attack against a target within Close range. On a success, the target must succeed on an Agility Reaction Roll or become Restrained until they break free with a Strength Roll.`,
+    reimport: `BRAMBLE WARDEN T1 Solo
+Difficulty: 13
+Thresholds: 7/14
+HP: 6
+Stress: 3
+Attack: +2
+Thorns: Close | 1d8+1 phy
+
+FEATURES
+Barkskin - Passive
+The Warden gets +2 to its damage thresholds. It gets +1 to attack rolls while in a forest.
+Grasping Roots - Action
+Make an attack against a target within Close range. On a success, the target must succeed on an Agility Reaction Roll or become Restrained until they break free with a Strength Roll.`,
+    expectedMerge: { create: [], update: [], delete: [], effects: {} }
+  },
+
+  // Test case 30: A re-import updates changed features, creates new ones, deletes dropped ones and keeps the GM's items
+  mergeChangedFeatures: {
+    input: `BRAMBLE WARDEN T1 Solo
+Difficulty: 13
+Thresholds: 7/14
+HP: 6
+Stress: 3
+Attack: +2
+Thorns: Close | 1d8+1 phy
+
+FEATURES
+Relentless (2) - Passive
+The Warden can be spotlighted up to two times per GM turn.
+Thorn Lash - Action
+Make an attack against a target within Close range. On a success, deal 1d8 physcal damage.
+Overgrowth - Action
+Spend a Fear to fill the area within Far range with brambles.`,
+    reimport: `BRAMBLE WARDEN T1 Solo
+Difficulty: 13
+Thresholds: 7/14
+HP: 6
+Stress: 3
+Attack: +2
+Thorns: Close | 1d8+1 phy
+
+FEATURES
+Relentless (2) - Passive
+The Warden can be spotlighted up to two times per GM turn.
+Thorn Lash - Action
+Make an attack against a target within Close range. On a success, deal 1d8 physical damage.
+Seed Burst - Reaction
+When the Warden takes Severe damage, all targets within Very Close range take 1d6 physical damage.`,
+    gmItems: ['Warden Trophy'],
+    expectedMerge: { create: ['Seed Burst'], update: ['Thorn Lash'], delete: ['Overgrowth'], effects: {} }
+  },
+
+  // Test case 31: Art rules pick the most specific match, name over keyword over type, then the first listed rule
+  artRuleOrder: {
+    artRules: [
+      { subtype: 'solo', portrait: 'art/solo.webp', token: 'art/solo-token.webp' },
+      { featureType: 'reaction', icon: 'icons/reaction.webp' },
+      { keyword: 'burrower', portrait: 'art/burrower.webp' },
+      { keyword: 'acid', portrait: 'art/acid.webp' },
+      { name: 'Acid Burrower', token: 'art/acid-burrower-token.webp' },
+      { environmentType: 'traversal', portrait: 'art/traversal.webp' },
+      { feature: 'acid', icon: 'icons/acid.webp' }
+    ],
+    expectedArt: {
+      actors: [
+        { name: 'Acid Burrower', type: 'adversary', subtype: 'solo', portrait: 'art/burrower.webp', token: 'art/acid-burrower-token.webp' },
+        { name: 'Cave Ogre', type: 'adversary', subtype: 'solo', portrait: 'art/solo.webp', token: 'art/solo-token.webp' },
+        { name: 'Glass Snake', type: 'adversary', subtype: 'standard', portrait: 'systems/daggerheart/assets/icons/documents/actors/dragon-head.svg', token: 'systems/daggerheart/assets/icons/documents/actors/dragon-head.svg' },
+        { name: 'Collapsing Mine', type: 'environment', subtype: 'solo', portrait: 'icons/svg/mystery-man.svg', token: 'icons/svg/mystery-man.svg' },
+        { name: 'Collapsing Mine', type: 'environment', subtype: 'traversal', portrait: 'art/traversal.webp', token: 'art/traversal.webp' }
+      ],
+      features: [
+        { name: 'Acid Bath', type: 'reaction', icon: 'icons/acid.webp' },
+        { name: 'Tail Sweep', type: 'reaction', icon: 'icons/reaction.webp' },
+        { name: 'Bite', type: 'action', icon: 'icons/creatures/abilities/mouth-teeth-rows-red.webp' }
+      ]
+    }
+  },
+
+  // Test case 32: Attacks set up in Foundry without a custom formula, and negative bonuses, survive an export and re-import
+  exportAttacks: {
+    input: `CAVE OGRE T1 Bruiser
+Difficulty: 13
+Thresholds: 8/15
+HP: 8
+Stress: 3
+Attack: +1
+Club: Very Close | 1d10+2 phy`,
+    attackDamage: [
+      {
+        value: { custom: { enabled: false, formula: '' }, multiplier: 'flat', flatMultiplier: 1, dice: 'd10', bonus: 3 },
+        type: ['physical'],
+        attackInfo: { dice: '1d10', bonus: 3, damageType: 'physical' }
+      },
+      {
+        value: { custom: { enabled: false, formula: '' }, multiplier: 'flat', flatMultiplier: 2, dice: 'd6', bonus: -1 },
+        type: ['magical'],
+        attackInfo: { dice: '2d6', bonus: -1, damageType: 'magical' }
+      },
+      {
+        value: { custom: { enabled: true, formula: '1d8-1' }, multiplier: 'flat', flatMultiplier: 1, dice: 'd8', bonus: null },
+        type: ['physical'],
+        attackInfo: { dice: '1d8', bonus: -1, damageType: 'physical' }
+      }
+    ]
+  },
+
+  // Test case 33: A JSON damage object without dice gives no standard attack rather than a broken one
+  jsonDamageWithoutDice: {
+    format: 'freshcutgrass-json',
+    input: JSON.stringify({
+      name: 'Stone Golem',
+      kind: 'adversary',
+      tier: 2,
+      role: 'Bruiser',
+      difficulty: 15,
+      thresholds: { major: 10, severe: 20 },
+      hp: 7,
+      stress: 3,
+      attack: { modifier: 2, name: 'Slam', range: 'Melee', damage: { bonus: 4, type: 'phy' } },
+      features: []
+    }),
+    expected: {
+      name: 'Stone Golem',
+      type: 'adversary',
+      attack: 2,
+      attackInfo: null,
+      features: [],
+      format: 'freshcutgrass-json'
+    }
+  },
+
+  // Test case 34: Re-importing a statblock that lost its Minion feature removes the minion flag
+  mergeDroppedMinion: {
+    input: `JAGGED KNIFE LACKEY T1 Minion
+A thief with simple clothes and small daggers, eager to prove themselves.
+Difficulty: 9
+Attack: -2
+
+FEATURES
+Minion (3) - Passive
+The Lackey is defeated when they take any damage. For every 3 damage a PC deals to the Lackey, defeat an additional Minion within range the attack would succeed against.`,
+    reimport: `JAGGED KNIFE LACKEY T1 Standard
+A thief with simple clothes and small daggers, eager to prove themselves.
+Difficulty: 9
+Thresholds: 4/8
+HP: 3
+Attack: -2`,
+    expectedRemovedFlags: ['minion']
   }
 };
 
+/**
+ * Build an in-memory actor from parsed statblock data, the way the importer would create it
+ */
+async function buildTestActor(parsed) {
+  const creator = new window.DaggerheartStatblockImporter.DaggerheartActorCreator();
+  const actorData = creator._buildActorData(parsed);
+  const items = (await creator._createItems(parsed)).map(itemData => {
+    const data = {
+      ...itemData,
+      _id: foundry.utils.randomID(),
+      effects: itemData.effects.map(effect => ({ _id: foundry.utils.randomID(), ...effect }))
+    };
+    return {
+      ...data,
+      id: data._id,
+      getFlag: (scope, key) => data.flags[scope]?.[key],
+      toObject: () => foundry.utils.deepClone(data)
+    };
+  });
+  
+  return {
+    ...actorData,
+    items,
+    getFlag: (scope, key) => actorData.flags[scope]?.[key]
+  };
+}
+
+/**
+ * Actor data without the random IDs of experiences, feature actions and their effects, for comparison
+ */
+function comparableActor(actor) {
+  const { experiences, ...system } = actor.system;
+  return {
+    name: actor.name,
+    type: actor.type,
+    system: { ...system, experiences: Object.values(experiences ?? {}) },
+    items: actor.items.map(item => ({
+      name: item.name,
+      description: item.system.description,
+      actions: Object.values(item.system.actions).map(({ _id, effects, ...action }) => ({ ...action, effects: effects.length })),
+      flags: item.flags
+    }))
+  };
+}
+
+/**
+ * Parse a statblock, create the actor, export it and import the export; returns the mismatches
+ */
+async function checkRoundTrip(input) {
+  const parser = new window.DaggerheartStatblockImporter.StatblockParser();
+  const exporter = new window.DaggerheartStatblockImporter.StatblockExporter();
+  
+  const actor = await buildTestActor(await parser.parse(input));
+  const text = exporter.exportActor(actor);
+  const reimported = await buildTestActor(await parser.parse(text));
+  
+  const before = comparableActor(actor);
+  const after = comparableActor(reimported);
+  const mismatches = [];
+  
+  for (const field of Object.keys(before.system)) {
+    if (JSON.stringify(before.system[field]) !== JSON.stringify(after.system[field])) {
+      mismatches.push(`system.${field}: expected ${JSON.stringify(before.system[field])}, got ${JSON.stringify(after.system[field])}`);
+    }
+  }
+  for (const field of ['name', 'type', 'items']) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      mismatches.push(`${field}: expected ${JSON.stringify(before[field])}, got ${JSON.stringify(after[field])}`);
+    }
+  }
+  
+  return mismatches;
+}
+
+/**
+ * Import a statblock, add the listed GM items and effects, and plan the item merge of a re-import;
+ * returns the plan as item names, with the effects of every updated item
+ */
+async function planTestMerge(testCase) {
+  const parser = new window.DaggerheartStatblockImporter.StatblockParser();
+  const creator = new window.DaggerheartStatblockImporter.DaggerheartActorCreator();
+  const actor = await buildTestActor(await parser.parse(testCase.input));
+  
+  for (const [itemName, effectName] of Object.entries(testCase.gmEffects ?? {})) {
+    const item = actor.items.find(item => item.name === itemName);
+    const effect = { _id: foundry.utils.randomID(), name: effectName, changes: [], disabled: false, flags: {} };
+    const data = item.toObject();
+    data.effects.push(effect);
+    item.effects.push(effect);
+    item.toObject = () => foundry.utils.deepClone(data);
+  }
+  for (const name of testCase.gmItems ?? []) {
+    const data = { _id: foundry.utils.randomID(), name, type: 'feature', system: { description: '', actions: {} }, effects: [], flags: {} };
+    actor.items.push({ ...data, id: data._id, getFlag: () => undefined, toObject: () => foundry.utils.deepClone(data) });
+  }
+  
+  const plan = creator._planItemMerge(actor, await creator._createItems(await parser.parse(testCase.reimport)));
+  return {
+    create: plan.create.map(item => item.name),
+    update: plan.update.map(update => update.name),
+    delete: plan.delete.map(item => item.name),
+    effects: Object.fromEntries(plan.update.filter(update => update.effects).map(update => [
+      update.name,
+      update.effects.map(effect => ({ name: effect.name, changes: effect.changes.map(change => `${change.key} ${change.value}`) }))
+    ]))
+  };
+}
+
+/**
+ * The images art rules give each listed actor and feature, in the form of the expectations
+ */
+function resolveTestArt(testCase) {
+  const { artResolver } = new window.DaggerheartStatblockImporter.DaggerheartActorCreator();
+  artResolver.rules = testCase.artRules;
+  return {
+    actors: testCase.expectedArt.actors.map(({ name, type, subtype }) => ({ name, type, subtype, ...artResolver.resolveRuleArt({ name, type, subtype }) })),
+    features: testCase.expectedArt.features.map(({ name, type }) => ({ name, type, icon: artResolver.resolveFeatureIcon({ name, type }) }))
+  };
+}
+
+/**
+ * Export an actor whose standard attack deals the given damage and read the attack back from the text
+ */
+async function exportTestAttack(input, damage) {
+  const parser = new window.DaggerheartStatblockImporter.StatblockParser();
+  const exporter = new window.DaggerheartStatblockImporter.StatblockExporter();
+  const actor = await buildTestActor(await parser.parse(input));
+  actor.system.attack.damage.parts = [{ value: damage.value, type: damage.type, applyTo: 'hitPoints' }];
+  
+  const { attackInfo } = await parser.parse(exporter.exportActor(actor));
+  return attackInfo && { dice: attackInfo.dice, bonus: attackInfo.bonus, damageType: attackInfo.damageType };
+}
+
+/**
+ * Import a statblock, merge a re-import into the actor, and return the module flags the merge removes
+ */
+async function mergeTestActorFlags(testCase) {
+  const parser = new window.DaggerheartStatblockImporter.StatblockParser();
+  const creator = new window.DaggerheartStatblockImporter.DaggerheartActorCreator();
+  const actor = await buildTestActor(await parser.parse(testCase.input));
+  const data = { name: actor.name, type: actor.type, system: actor.system, flags: actor.flags };
+  const updates = [];
+  Object.assign(actor, {
+    toObject: () => foundry.utils.deepClone(data),
+    update: async update => updates.push(update),
+    deleteEmbeddedDocuments: async () => [],
+    updateEmbeddedDocuments: async () => [],
+    createEmbeddedDocuments: async () => []
+  });
+  
+  await creator.mergeActor(actor, await creator.planMerge(actor, await parser.parse(testCase.reimport)));
+  return Object.keys(updates[0]?.flags?.['daggerheart-statblock-importer'] ?? {})
+    .filter(key => key.startsWith('-='))
+    .map(key => key.slice(2));
+}
+
+/**
+ * The actions the importer builds for a parsed feature, as `{name, type, range, damage, cost, uses, target, direct, damageMod}` summaries
+ */
+function summarizeActions(feature) {
+  const creator = new window.DaggerheartStatblockImporter.DaggerheartActorCreator();
+  const item = creator._buildFeatureItem(feature);
+  return Object.values(item?.system.actions ?? {}).map(action => ({
+    name: action.name,
+    type: action.type,
+    range: action.range,
+    damage: (action.damage?.parts ?? []).map(part => `${part.value.custom.formula} ${part.applyTo === 'hitPoints' ? part.type.join('/') : part.applyTo}`),
+    cost: action.cost.map(cost => `${cost.value} ${cost.key}`),
+    uses: { max: action.uses.max, recovery: action.uses.recovery },
+    target: action.target,
+    direct: action.damage?.direct ?? false,
+    damageMod: action.save?.damageMod ?? 'none',
+    countdownMax: action.countdown?.[0].progress.max
+  }));
+}
+
+/**
+ * The Active Effects the importer builds for a parsed feature, as `{name, disabled, changes}` summaries
+ */
+function summarizeEffects(feature) {
+  const creator = new window.DaggerheartStatblockImporter.DaggerheartActorCreator();
+  return (creator._buildFeatureItem(feature)?.effects ?? []).map(effect => ({
+    name: effect.name,
+    disabled: effect.disabled,
+    changes: effect.changes.map(change => `${change.key} ${change.value}`)
+  }));
+}
+
+/**
+ * The conditions the actions of a parsed feature apply, as `{status, ending}` read back from the built item
+ */
+function summarizeConditions(feature) {
+  const creator = new window.DaggerheartStatblockImporter.DaggerheartActorCreator();
+  const item = creator._buildFeatureItem(feature);
+  const appliedIds = Object.values(item?.system.actions ?? {}).flatMap(action => action.effects.map(effect => effect._id));
+  return (item?.effects ?? [])
+    .filter(effect => appliedIds.includes(effect._id))
+    .map(effect => ({
+      status: effect.statuses[0],
+      ending: effect.description.replace(/^<p>\S+\s*|<\/p>$/g, '')
+    }));
+}
+
+/**
+ * Check built actions against expected summaries; only the fields an expectation lists are compared
+ */
+function matchesActions(actions, expectedActions) {
+  return actions.length === expectedActions.length && expectedActions.every((expectedAction, index) =>
+    Object.entries(expectedAction).every(([key, value]) => JSON.stringify(actions[index][key]) === JSON.stringify(value))
+  );
+}
+
+/**
+ * Parse the first statblock of a text with a given format adapter, or the detected one
+ */
+async function parseWithFormat(input, formatId = null) {
+  const [entry] = await window.DaggerheartStatblockImporter.formatRegistry.parse(input, formatId);
+  if (entry.error) throw entry.error;
+  return entry.data;
+}
+
 /**
  * Run all test cases
  */
@@ -140,7 +1226,97 @@ export async function runTests() {
       
       const parser = new window.DaggerheartStatblockImporter.StatblockParser();
       
-      if (testCase.shouldFail) {
+      if (testCase.roundTrip) {
+        // Test should export every listed statblock's actor back to equivalent text
+        const mismatches = [];
+        for (const caseName of testCase.roundTrip) {
+          for (const mismatch of await checkRoundTrip(TEST_CASES[caseName].input)) {
+            mismatches.push(`${caseName}: ${mismatch}`);
+          }
+        }
+        
+        if (mismatches.length === 0) {
+          results.passed++;
+          console.log(`✅ ${testName}: Passed`);
+        } else {
+          results.failed++;
+          results.errors.push(`${testName}: Validation failed`);
+          mismatches.forEach(mismatch => console.error(`Round trip mismatch: ${mismatch}`));
+          console.error(`❌ ${testName}: Validation failed`);
+        }
+      } else if (testCase.expectedRemovedFlags) {
+        // Test should remove the flags of features the re-imported statblock no longer has
+        const removed = await mergeTestActorFlags(testCase);
+        
+        if (JSON.stringify(removed) === JSON.stringify(testCase.expectedRemovedFlags)) {
+          results.passed++;
+          console.log(`✅ ${testName}: Passed`);
+        } else {
+          results.failed++;
+          results.errors.push(`${testName}: Validation failed`);
+          console.error(`Removed flags mismatch: expected ${JSON.stringify(testCase.expectedRemovedFlags)}, got ${JSON.stringify(removed)}`);
+          console.error(`❌ ${testName}: Validation failed`);
+        }
+      } else if (testCase.reimport) {
+        // Test should plan the re-import of a changed statblock into the actor imported from the input
+        const merge = await planTestMerge(testCase);
+        
+        if (JSON.stringify(merge) === JSON.stringify(testCase.expectedMerge)) {
+          results.passed++;
+          console.log(`✅ ${testName}: Passed`);
+        } else {
+          results.failed++;
+          results.errors.push(`${testName}: Validation failed`);
+          console.error(`Merge mismatch: expected ${JSON.stringify(testCase.expectedMerge)}, got ${JSON.stringify(merge)}`);
+          console.error(`❌ ${testName}: Validation failed`);
+        }
+      } else if (testCase.attackDamage) {
+        // Test should export every attack damage setup and import the same attack back
+        const mismatches = [];
+        for (const damage of testCase.attackDamage) {
+          const attackInfo = await exportTestAttack(testCase.input, damage);
+          if (JSON.stringify(attackInfo) !== JSON.stringify(damage.attackInfo)) {
+            mismatches.push(`expected ${JSON.stringify(damage.attackInfo)}, got ${JSON.stringify(attackInfo)}`);
+          }
+        }
+        
+        if (mismatches.length === 0) {
+          results.passed++;
+          console.log(`✅ ${testName}: Passed`);
+        } else {
+          results.failed++;
+          results.errors.push(`${testName}: Validation failed`);
+          mismatches.forEach(mismatch => console.error(`Attack mismatch: ${mismatch}`));
+          console.error(`❌ ${testName}: Validation failed`);
+        }
+      } else if (testCase.artRules) {
+        // Test should resolve every listed actor and feature to the image of its most specific rule
+        const art = resolveTestArt(testCase);
+        
+        if (JSON.stringify(art) === JSON.stringify(testCase.expectedArt)) {
+          results.passed++;
+          console.log(`✅ ${testName}: Passed`);
+        } else {
+          results.failed++;
+          results.errors.push(`${testName}: Validation failed`);
+          console.error(`Art mismatch: expected ${JSON.stringify(testCase.expectedArt)}, got ${JSON.stringify(art)}`);
+          console.error(`❌ ${testName}: Validation failed`);
+        }
+      } else if (testCase.expectedNames) {
+        // Test should split the input into several statblocks
+        const entries = await parser.parseAll(testCase.input);
+        const names = entries.map(entry => entry.data?.name);
+        
+        if (JSON.stringify(names) === JSON.stringify(testCase.expectedNames)) {
+          results.passed++;
+          console.log(`✅ ${testName}: Passed`);
+        } else {
+          results.failed++;
+          results.errors.push(`${testName}: Validation failed`);
+          console.error(`Statblock mismatch: expected ${JSON.stringify(testCase.expectedNames)}, got ${JSON.stringify(names)}`);
+          console.error(`❌ ${testName}: Validation failed`);
+        }
+      } else if (testCase.shouldFail) {
         // Test should fail
         try {
           await parser.parse(testCase.input);
@@ -152,8 +1328,9 @@ export async function runTests() {
           console.log(`✅ ${testName}: Correctly failed with error`);
         }
       } else {
-        // Test should succeed
-        const result = await parser.parse(testCase.input);
+        // Test should succeed; cases with a format go through that format adapter, the others
+        // through the detected one, as in the import dialog
+        const result = await parseWithFormat(testCase.input, testCase.format);
         
         // Validate key fields
         const expected = testCase.expected;
@@ -164,7 +1341,7 @@ export async function runTests() {
           console.error(`Name mismatch: expected "${expected.name}", got "${result.name}"`);
         }
         
-        if (result.difficulty !== expected.difficulty) {
+        if (expected.difficulty !== undefined && result.difficulty !== expected.difficulty) {
           isValid = false;
           console.error(`Difficulty mismatch: expected ${expected.difficulty}, got ${result.difficulty}`);
         }
@@ -174,6 +1351,169 @@ export async function runTests() {
           console.error(`Feature count mismatch: expected ${expected.features.length}, got ${result.features.length}`);
         }
         
+        if (expected.hitPoints !== undefined && result.hitPoints !== expected.hitPoints) {
+          isValid = false;
+          console.error(`HP mismatch: expected ${expected.hitPoints}, got ${result.hitPoints}`);
+        }
+        
+        if (expected.stress !== undefined && result.stress !== expected.stress) {
+          isValid = false;
+          console.error(`Stress mismatch: expected ${expected.stress}, got ${result.stress}`);
+        }
+        
+        if (expected.thresholds && (result.thresholds.major !== expected.thresholds.major ||
+            result.thresholds.severe !== expected.thresholds.severe)) {
+          isValid = false;
+          console.error(`Threshold mismatch: expected ${JSON.stringify(expected.thresholds)}, got ${JSON.stringify(result.thresholds)}`);
+        }
+        
+        if (expected.attack !== undefined && result.attack !== expected.attack) {
+          isValid = false;
+          console.error(`Attack mismatch: expected ${expected.attack}, got ${result.attack}`);
+        }
+        
+        if (expected.attackInfo !== undefined && JSON.stringify(result.attackInfo) !== JSON.stringify(expected.attackInfo)) {
+          isValid = false;
+          console.error(`Attack line mismatch: expected ${JSON.stringify(expected.attackInfo)}, got ${JSON.stringify(result.attackInfo)}`);
+        }
+        
+        if (expected.type === 'adversary' || expected.type === 'environment') {
+          try {
+            new window.DaggerheartStatblockImporter.DaggerheartActorCreator()._buildActorData(result);
+          } catch (error) {
+            isValid = false;
+            console.error(`Actor data could not be built: ${error.message}`);
+          }
+        }
+        
+        if (expected.experiences && JSON.stringify(result.experiences) !== JSON.stringify(expected.experiences)) {
+          isValid = false;
+          console.error(`Experiences mismatch: expected ${JSON.stringify(expected.experiences)}, got ${JSON.stringify(result.experiences)}`);
+        }
+        
+        if (expected.subtype && result.subtype !== expected.subtype.toLowerCase()) {
+          isValid = false;
+          console.error(`Subtype mismatch: expected "${expected.subtype}", got "${result.subtype}"`);
+        }
+        
+        if (expected.minionDefeats) {
+          const { MinionTracker } = window.DaggerheartStatblockImporter;
+          for (const [damage, count] of expected.minionDefeats) {
+            const defeats = MinionTracker.countDefeats(damage, result.minion?.threshold);
+            if (defeats !== count) {
+              isValid = false;
+              console.error(`Minion defeats mismatch for ${damage} damage: expected ${count}, got ${defeats}`);
+            }
+          }
+        }
+        
+        for (const key of ['resistances', 'immunities', 'vulnerabilities', 'damageReduction', 'horde', 'minion']) {
+          if (expected[key] && JSON.stringify(result[key]) !== JSON.stringify(expected[key])) {
+            isValid = false;
+            console.error(`${key} mismatch: expected ${JSON.stringify(expected[key])}, got ${JSON.stringify(result[key])}`);
+          }
+        }
+        
+        if (expected.type && result.type !== expected.type) {
+          isValid = false;
+          console.error(`Type mismatch: expected "${expected.type}", got "${result.type}"`);
+        }
+        
+        if (expected.impulses !== undefined && result.impulses !== expected.impulses) {
+          isValid = false;
+          console.error(`Impulses mismatch: expected "${expected.impulses}", got "${result.impulses}"`);
+        }
+        
+        if (expected.potentialAdversaries &&
+            JSON.stringify(result.potentialAdversaries) !== JSON.stringify(expected.potentialAdversaries)) {
+          isValid = false;
+          console.error(`Potential adversaries mismatch: expected ${JSON.stringify(expected.potentialAdversaries)}, got ${JSON.stringify(result.potentialAdversaries)}`);
+        }
+        
+        for (const [index, expectedFeature] of (expected.features || []).entries()) {
+          const feature = result.features[index];
+          if (expectedFeature.type && feature?.type !== expectedFeature.type) {
+            isValid = false;
+            console.error(`Feature type mismatch for ${expectedFeature.name}: expected ${expectedFeature.type}, got ${feature?.type}`);
+          }
+
+          if (expectedFeature.questions !== undefined && feature?.questions.length !== expectedFeature.questions) {
+            isValid = false;
+            console.error(`GM prompt count mismatch for ${expectedFeature.name}: expected ${expectedFeature.questions}, got ${feature?.questions.length}`);
+          }
+
+          if (expectedFeature.countdown && JSON.stringify(feature?.countdown) !== JSON.stringify(expectedFeature.countdown)) {
+            isValid = false;
+            console.error(`Countdown mismatch for ${expectedFeature.name}: expected ${JSON.stringify(expectedFeature.countdown)}, got ${JSON.stringify(feature?.countdown)}`);
+          }
+
+          if (expectedFeature.effects && JSON.stringify(summarizeEffects(feature)) !== JSON.stringify(expectedFeature.effects)) {
+            isValid = false;
+            console.error(`Effect mismatch for ${expectedFeature.name}: expected ${JSON.stringify(expectedFeature.effects)}, got ${JSON.stringify(summarizeEffects(feature))}`);
+          }
+
+          if (expectedFeature.conditions && JSON.stringify(summarizeConditions(feature)) !== JSON.stringify(expectedFeature.conditions)) {
+            isValid = false;
+            console.error(`Condition mismatch for ${expectedFeature.name}: expected ${JSON.stringify(expectedFeature.conditions)}, got ${JSON.stringify(summarizeConditions(feature))}`);
+          }
+
+          if (expectedFeature.actions && !matchesActions(summarizeActions(feature), expectedFeature.actions)) {
+            isValid = false;
+            console.error(`Action mismatch for ${expectedFeature.name}: expected ${JSON.stringify(expectedFeature.actions)}, got ${JSON.stringify(summarizeActions(feature))}`);
+          }
+          
+          if (expectedFeature.rolledCountdown) {
+            const creator = new window.DaggerheartStatblockImporter.DaggerheartActorCreator();
+            const [rolled] = summarizeActions(await creator._rollCountdownStart(feature));
+            const [min, max] = expectedFeature.rolledCountdown;
+            if (!(rolled?.countdownMax >= min && rolled.countdownMax <= max)) {
+              isValid = false;
+              console.error(`Rolled countdown for ${expectedFeature.name} should be between ${min} and ${max}, got ${rolled?.countdownMax}`);
+            }
+          }
+        }
+        
+        if (expected.composition && JSON.stringify(result.composition) !== JSON.stringify(expected.composition)) {
+          isValid = false;
+          console.error(`Composition mismatch: expected ${JSON.stringify(expected.composition)}, got ${JSON.stringify(result.composition)}`);
+        }
+        
+        if (expected.statblocks !== undefined && result.statblocks.length !== expected.statblocks) {
+          isValid = false;
+          console.error(`Inline statblock count mismatch: expected ${expected.statblocks}, got ${result.statblocks.length}`);
+        }
+        
+        if (expected.statblocks !== undefined && result.statblocks.some(statblock => !statblock.sourceText?.trim())) {
+          isValid = false;
+          console.error('Inline statblocks should keep their source text for re-import');
+        }
+        
+        if (expected.format) {
+          const detected = window.DaggerheartStatblockImporter.formatRegistry.detect(testCase.input);
+          if (detected?.format.id !== expected.format) {
+            isValid = false;
+            console.error(`Format mismatch: expected ${expected.format}, got ${detected?.format.id}`);
+          }
+        }
+        
+        if (expected.warningLines) {
+          const lines = result.warnings.map(warning => warning.line);
+          if (JSON.stringify(lines) !== JSON.stringify(expected.warningLines)) {
+            isValid = false;
+            console.error(`Warning lines mismatch: expected ${JSON.stringify(expected.warningLines)}, got ${JSON.stringify(lines)}`);
+          }
+        }
+        
+        if (expected.unparsed !== undefined && result.unparsed.length !== expected.unparsed) {
+          isValid = false;
+          console.error(`Unparsed line count mismatch: expected ${expected.unparsed}, got ${result.unparsed.length}`);
+        }
+        
+        if (expected.warnings !== undefined && result.warnings.length !== expected.warnings) {
+          isValid = false;
+          console.error(`Warning count mismatch: expected ${expected.warnings}, got ${result.warnings.length}`);
+        }
+        
         if (isValid) {
           results.passed++;
           console.log(`✅ ${testName}: Passed`);